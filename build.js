@@ -8,7 +8,7 @@ esbuild
     format: 'cjs',
     platform: 'browser',
     target: 'es2020',
-    external: ['obsidian'],
+    external: ['obsidian', '@codemirror/state', '@codemirror/view'],
     minify: false,
     sourcemap: false,
   })
@@ -0,0 +1,172 @@
+const TARGET_SAMPLE_RATE = 16000;
+const BUFFER_SECONDS = 60;
+const FRAME_SIZE = 1024;
+
+const WORKLET_NAME = 'whisper-capture';
+const WORKLET_SOURCE = `
+class WhisperCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.frame = new Float32Array(${FRAME_SIZE});
+    this.used = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0] && inputs[0][0];
+    if (input) {
+      let offset = 0;
+      while (offset < input.length) {
+        const count = Math.min(input.length - offset, this.frame.length - this.used);
+        this.frame.set(input.subarray(offset, offset + count), this.used);
+        this.used += count;
+        offset += count;
+        if (this.used === this.frame.length) {
+          this.port.postMessage(this.frame);
+          this.frame = new Float32Array(${FRAME_SIZE});
+          this.used = 0;
+        }
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('${WORKLET_NAME}', WhisperCaptureProcessor);
+`;
+
+function log(message, data) {
+  const timestamp = new Date().toISOString().substr(11, 12);
+  if (data !== undefined) {
+    console.log(`[WhisperCapture ${timestamp}] ${message}`, data);
+  } else {
+    console.log(`[WhisperCapture ${timestamp}] ${message}`);
+  }
+}
+
+function resampleAudio(audioData, fromSampleRate, toSampleRate) {
+  const ratio = fromSampleRate / toSampleRate;
+  const newLength = Math.round(audioData.length / ratio);
+  const result = new Float32Array(newLength);
+  for (let i = 0; i < newLength; i++) {
+    result[i] = audioData[Math.floor(i * ratio)];
+  }
+  return result;
+}
+
+// Pulls raw PCM continuously from a media stream into a ring buffer at 16 kHz.
+// Positions are absolute sample counts since the capture started, so chunks
+// can be sliced from the buffer without any gap between them.
+class AudioCapture {
+  constructor(mediaStream, onFrame) {
+    this.mediaStream = mediaStream;
+    this.onFrame = onFrame;
+    this.buffer = new Float32Array(BUFFER_SECONDS * TARGET_SAMPLE_RATE);
+    this.written = 0;
+    this.resamplePos = 0;
+    this.context = null;
+    this.nodes = [];
+    this.workletUrl = null;
+  }
+
+  async start() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    let source;
+    try {
+      this.context = new AudioContextClass({ sampleRate: TARGET_SAMPLE_RATE });
+      source = this.context.createMediaStreamSource(this.mediaStream);
+    } catch (error) {
+      // Some browsers can't connect a stream to a context at a different rate
+      log('16 kHz audio context unavailable, resampling instead', error);
+      if (this.context) {
+        this.context.close();
+      }
+      this.context = new AudioContextClass();
+      source = this.context.createMediaStreamSource(this.mediaStream);
+    }
+    await this.context.resume();
+    // A silent sink keeps the processing node pulled by the audio graph
+    const sink = this.context.createGain();
+    sink.gain.value = 0;
+    sink.connect(this.context.destination);
+    let processor;
+    if (this.context.audioWorklet && window.AudioWorkletNode) {
+      this.workletUrl = URL.createObjectURL(new Blob([WORKLET_SOURCE], { type: 'application/javascript' }));
+      await this.context.audioWorklet.addModule(this.workletUrl);
+      processor = new AudioWorkletNode(this.context, WORKLET_NAME, { numberOfInputs: 1, numberOfOutputs: 1, channelCount: 1 });
+      processor.port.onmessage = (event) => this.receive(event.data);
+    } else {
+      log('AudioWorklet unavailable, using ScriptProcessor');
+      processor = this.context.createScriptProcessor(FRAME_SIZE * 4, 1, 1);
+      processor.onaudioprocess = (event) => this.receive(new Float32Array(event.inputBuffer.getChannelData(0)));
+    }
+    source.connect(processor);
+    processor.connect(sink);
+    this.nodes = [source, processor, sink];
+    log('Capture started', { sampleRate: this.context.sampleRate });
+  }
+
+  receive(frame) {
+    let samples = frame;
+    if (this.context.sampleRate !== TARGET_SAMPLE_RATE) {
+      // Resample across frame boundaries by carrying the fractional position
+      const ratio = this.context.sampleRate / TARGET_SAMPLE_RATE;
+      const result = [];
+      let pos = this.resamplePos;
+      while (pos < frame.length) {
+        result.push(frame[Math.floor(pos)]);
+        pos += ratio;
+      }
+      this.resamplePos = pos - frame.length;
+      samples = Float32Array.from(result);
+    }
+    this.write(samples);
+    if (this.onFrame) {
+      this.onFrame(samples);
+    }
+  }
+
+  write(samples) {
+    const capacity = this.buffer.length;
+    let offset = 0;
+    while (offset < samples.length) {
+      const pos = (this.written + offset) % capacity;
+      const count = Math.min(samples.length - offset, capacity - pos);
+      this.buffer.set(samples.subarray(offset, offset + count), pos);
+      offset += count;
+    }
+    this.written += samples.length;
+  }
+
+  read(start, end) {
+    const capacity = this.buffer.length;
+    end = Math.min(end, this.written);
+    if (start < this.written - capacity) {
+      log(`Requested audio is no longer buffered, dropping ${this.written - capacity - start} samples`);
+      start = this.written - capacity;
+    }
+    const result = new Float32Array(Math.max(0, end - start));
+    let offset = 0;
+    while (offset < result.length) {
+      const pos = (start + offset) % capacity;
+      const count = Math.min(result.length - offset, capacity - pos);
+      result.set(this.buffer.subarray(pos, pos + count), offset);
+      offset += count;
+    }
+    return result;
+  }
+
+  stop() {
+    this.nodes.forEach((node) => node.disconnect());
+    this.nodes = [];
+    if (this.context) {
+      this.context.close();
+      this.context = null;
+    }
+    if (this.workletUrl) {
+      URL.revokeObjectURL(this.workletUrl);
+      this.workletUrl = null;
+    }
+    log('Capture stopped', { samples: this.written });
+  }
+}
+
+module.exports = { AudioCapture, resampleAudio, TARGET_SAMPLE_RATE };
@@ -1,4 +1,35 @@
+const { languageCode } = require('./languages.js');
+
 const MODEL_BASE_URL = 'https://huggingface.co/ggerganov/whisper.cpp/resolve/main';
+const SERVER_HOST = '127.0.0.1';
+const SERVER_START_TIMEOUT_MS = 60000;
+const SERVER_POLL_MS = 250;
+// Restarts tried for one chunk before falling back to whisper-cli
+const SERVER_RESTARTS = 2;
+const MAX_REDIRECTS = 10;
+// Interrupted downloads are resumed this many times before giving up
+const DOWNLOAD_ATTEMPTS = 3;
+const DOWNLOAD_STALL_MS = 60000;
+const METADATA_TIMEOUT_MS = 10000;
+// Size and SHA-256 of each verified model, kept next to the models
+const DOWNLOAD_MANIFEST = 'downloads.json';
+const EXECUTABLE_CHECK_MS = 10000;
+const GGML_MAGIC = 0x67676d6c;
+// Model size by the number of layers in its audio encoder
+const MODEL_SIZES = { 4: 'tiny', 6: 'base', 12: 'small', 24: 'medium' };
+
+// The sizes and SHA-1 checksums published for whisper.cpp's models, so a
+// download is verified whichever server it comes from
+const KNOWN_MODELS = {
+  'ggml-tiny.en.bin': { size: 77704715, sha1: 'c78c86eb1a8faa21b369bcd33207cc90d64ae9df' },
+  'ggml-base.en.bin': { size: 147964211, sha1: '137c40403d78fd54d454da0f9bd998f78703390c' },
+  'ggml-small.en.bin': { size: 487614201, sha1: 'db8a495a91d927739e50b3fc1cc4c6b8f6c2d022' },
+  'ggml-medium.en.bin': { size: 1533774781, sha1: '8c30f0e44ce9560643ebd10bbe50cd20eafd3723' },
+  'ggml-tiny.bin': { size: 77691713, sha1: 'bd577a113a864445d4c299885e0cb97d4ba92b5f' },
+  'ggml-base.bin': { size: 147951465, sha1: '465707469ff3a37a2b9b8d8f89f2f99de7299dac' },
+  'ggml-small.bin': { size: 487601967, sha1: '55356645c2b361a969dfd0ef2c5a50d530afd8d5' },
+  'ggml-medium.bin': { size: 1533763059, sha1: 'fd9727b6e1217c2f614f9b698455c4ffd82463b4' },
+};
 
 const MODEL_MAP = {
   'Xenova/whisper-tiny.en': 'ggml-tiny.en.bin',
@@ -19,6 +50,10 @@ function getNodeModules() {
     os: nodeRequire('os'),
     spawn: nodeRequire('child_process').spawn,
     https: nodeRequire('https'),
+    http: nodeRequire('http'),
+    crypto: nodeRequire('crypto'),
+    stream: nodeRequire('stream'),
+    net: nodeRequire('net'),
   };
 }
 
@@ -35,10 +70,12 @@ function getPlatformInfo() {
   const platform = process.platform;
   const arch = process.arch;
   let execNames = ['whisper-cli', 'main'];
+  let serverNames = ['whisper-server', 'server'];
   let archivePattern = '';
   let repo = '';
   if (platform === 'win32') {
     execNames = ['whisper-cli.exe'];
+    serverNames = ['whisper-server.exe'];
     archivePattern = 'whisper-blas-bin-x64.zip';
     repo = 'https://api.github.com/repos/ggerganov/whisper.cpp/releases/latest';
   } else if (platform === 'darwin') {
@@ -48,46 +85,174 @@ function getPlatformInfo() {
     archivePattern = 'whisper-bin-blas-linux-x64.tar.gz';
     repo = 'https://api.github.com/repos/dscripka/whisper.cpp_binaries/releases/latest';
   }
-  return { platform, arch, execNames, archivePattern, repo };
+  return { platform, arch, execNames, serverNames, archivePattern, repo };
 }
 
-function downloadFile(url, destPath, progressCallback) {
-  const { https, fs } = getNodeModules();
+// Resolves with the response once redirects have been followed, or with the
+// redirect itself when follow is false.  The caller must consume the body.
+function requestUrl(url, { method = 'GET', headers = {}, follow = true, timeoutMs = DOWNLOAD_STALL_MS } = {}) {
+  const { https, http } = getNodeModules();
   return new Promise((resolve, reject) => {
-    const makeRequest = (requestUrl) => {
-      https
-        .get(requestUrl, { headers: { 'User-Agent': 'ObsidianWhisperPlugin' } }, (response) => {
-          if (response.statusCode === 302 || response.statusCode === 301) {
-            makeRequest(response.headers.location);
-            return;
-          }
-          if (response.statusCode !== 200) {
-            reject(new Error(`HTTP ${response.statusCode}`));
+    // Mirrors may be plain http, and a redirect can switch between the two
+    const makeRequest = (currentUrl, redirects) => {
+      const protocol = new URL(currentUrl).protocol;
+      if (protocol !== 'https:' && protocol !== 'http:') {
+        reject(new Error(`Unsupported URL: ${currentUrl}`));
+        return;
+      }
+      const client = protocol === 'http:' ? http : https;
+      const request = client.request(currentUrl, { method, headers: Object.assign({ 'User-Agent': 'ObsidianWhisperPlugin' }, headers) }, (response) => {
+        if (follow && [301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject(new Error(`Too many redirects fetching ${url}`));
             return;
           }
-          const totalSize = parseInt(response.headers['content-length'], 10);
-          let downloadedSize = 0;
-          const file = fs.createWriteStream(destPath);
-          response.on('data', (chunk) => {
-            downloadedSize += chunk.length;
-            if (progressCallback && totalSize) {
-              progressCallback(downloadedSize, totalSize);
-            }
-          });
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve();
-          });
-          file.on('error', (err) => {
-            fs.unlink(destPath, () => {});
-            reject(err);
-          });
-        })
-        .on('error', reject);
+          makeRequest(new URL(response.headers.location, currentUrl).toString(), redirects + 1);
+          return;
+        }
+        resolve(response);
+      });
+      // Also aborts a download whose connection stalls part way through
+      request.setTimeout(timeoutMs, () => request.destroy(new Error(`Connection to ${new URL(currentUrl).host} timed out`)));
+      request.on('error', reject);
+      request.end();
     };
-    makeRequest(url);
+    makeRequest(url, 0);
+  });
+}
+
+async function requestJson(url) {
+  const response = await requestUrl(url);
+  let data = '';
+  response.setEncoding('utf8');
+  for await (const chunk of response) {
+    data += chunk;
+  }
+  return { status: response.statusCode, data };
+}
+
+// Hugging Face gives the size and SHA-256 of a file stored with LFS in the
+// headers of the redirect to its storage.  Either is null when missing.
+async function getModelInfo(url) {
+  const response = await requestUrl(url, { method: 'HEAD', follow: false, timeoutMs: METADATA_TIMEOUT_MS });
+  response.resume();
+  if (response.statusCode >= 400) {
+    throw new Error(`HTTP ${response.statusCode}`);
+  }
+  const etag = (response.headers['x-linked-etag'] || '').replace(/^W\//, '').replace(/"/g, '');
+  const size = parseInt(response.headers['x-linked-size'], 10);
+  return { size: size > 0 ? size : null, sha256: /^[0-9a-f]{64}$/.test(etag) ? etag : null };
+}
+
+function hashFile(filePath, algorithm) {
+  const { fs, crypto } = getNodeModules();
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// Download into a .part file next to destPath, resuming what an earlier
+// attempt left there, and move it into place only once it matches the
+// expected size and checksum, and passes validate if given, so a cut-off
+// download or an error page is never mistaken for the file.
+async function downloadFile(url, destPath, progressCallback, expected = {}, validate = null) {
+  const { fs } = getNodeModules();
+  const partPath = destPath + '.part';
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await downloadPart(url, partPath, progressCallback, expected.size);
+      break;
+    } catch (error) {
+      if (error.permanent || attempt >= DOWNLOAD_ATTEMPTS) {
+        throw error;
+      }
+      log(`Download interrupted, resuming (attempt ${attempt + 1} of ${DOWNLOAD_ATTEMPTS})`, error);
+    }
+  }
+  try {
+    await verifyFile(partPath, expected);
+    if (validate) {
+      validate(partPath);
+    }
+  } catch (error) {
+    fs.unlinkSync(partPath);
+    throw error;
+  }
+  fs.renameSync(partPath, destPath);
+}
+
+async function downloadPart(url, partPath, progressCallback, expectedSize) {
+  const { fs, stream } = getNodeModules();
+  const existing = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  if (existing && existing === expectedSize) {
+    return;
+  }
+  if (existing) {
+    log(`Resuming download after ${existing} bytes`);
+  }
+  const response = await requestUrl(url, { headers: existing ? { Range: `bytes=${existing}-` } : {} });
+  const contentRange = response.headers['content-range'] || '';
+  let offset = 0;
+  if (response.statusCode === 206) {
+    const start = /^bytes (\d+)-/.exec(contentRange);
+    if (!start || Number(start[1]) !== existing) {
+      response.resume();
+      fs.unlinkSync(partPath);
+      throw new Error('Server resumed the download at the wrong position');
+    }
+    offset = existing;
+  } else if (response.statusCode === 416 && existing) {
+    response.resume();
+    // Nothing left to fetch when the part already has every byte
+    const total = /\/(\d+)$/.exec(contentRange);
+    if (total && Number(total[1]) === existing) {
+      return;
+    }
+    fs.unlinkSync(partPath);
+    throw new Error('Partial download no longer matches the file, restarting');
+  } else if (response.statusCode !== 200) {
+    response.resume();
+    const error = new Error(`HTTP ${response.statusCode}`);
+    error.permanent = response.statusCode < 500;
+    throw error;
+  }
+  const total = offset + parseInt(response.headers['content-length'], 10);
+  let loaded = offset;
+  response.on('data', (chunk) => {
+    loaded += chunk.length;
+    if (progressCallback && total) {
+      progressCallback(loaded, total);
+    }
   });
+  await stream.promises.pipeline(response, fs.createWriteStream(partPath, { flags: offset ? 'a' : 'w' }));
+  if (total && loaded !== total) {
+    throw new Error(`Download ended after ${loaded} of ${total} bytes`);
+  }
+}
+
+// Checks the size and the SHA-256 or else SHA-1 checksum, where known
+async function verifyFile(filePath, expected) {
+  const { fs } = getNodeModules();
+  const size = fs.statSync(filePath).size;
+  if (expected.size && size !== expected.size) {
+    throw new Error(`Downloaded file is ${size} bytes, expected ${expected.size}`);
+  }
+  const algorithm = expected.sha256 ? 'sha256' : expected.sha1 ? 'sha1' : null;
+  if (!algorithm) {
+    log('No checksum published, only the size was checked: ' + filePath);
+    return;
+  }
+  const name = algorithm === 'sha256' ? 'SHA-256' : 'SHA-1';
+  const digest = await hashFile(filePath, algorithm);
+  if (digest !== expected[algorithm]) {
+    throw new Error(`Downloaded file is corrupt: ${name} ${digest}, expected ${expected[algorithm]}`);
+  }
+  log(`Verified ${name} of ${filePath}`);
 }
 
 async function extractZip(zipPath, destDir, platform) {
@@ -122,6 +287,64 @@ async function extractZip(zipPath, destDir, platform) {
   });
 }
 
+// One thread per core, shared between the chunks transcribed at once.
+// whisper.cpp gains little from more than 8.
+function defaultThreads(cpuCount, concurrentJobs) {
+  return Math.max(1, Math.min(8, Math.floor(cpuCount / Math.max(1, concurrentJobs || 1))));
+}
+
+// Identify a whisper.cpp model from its header: the ggml magic number and
+// then its hyperparameters, starting with the vocabulary size, which tells
+// English-only models (51864 tokens) from multilingual ones, and ending
+// with the weight type, where anything but f32 (0) or f16 (1) is quantized
+function readModelHeader(filePath) {
+  const { fs } = getNodeModules();
+  const header = Buffer.alloc(48);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (header.toString('ascii', 0, 4) === 'GGUF') {
+    return { format: 'gguf' };
+  }
+  if (header.readUInt32LE(0) !== GGML_MAGIC) {
+    throw new Error(`${filePath} is not a whisper.cpp model`);
+  }
+  // Quantized models add a version in the thousands to the weight type
+  return { format: 'ggml', english: header.readInt32LE(4) === 51864, audioLayers: header.readInt32LE(20), quantized: header.readInt32LE(44) % 1000 > 1 };
+}
+
+// whisper.cpp prints its usage when asked for help, which shows that the
+// executable runs on this machine
+function checkExecutable(execPath) {
+  const { spawn } = getNodeModules();
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const proc = spawn(execPath, ['--help'], { timeout: EXECUTABLE_CHECK_MS });
+    proc.stdout.on('data', (data) => (output += data.toString()));
+    proc.stderr.on('data', (data) => (output += data.toString()));
+    proc.on('error', reject);
+    proc.on('close', (code, signal) => {
+      if (/usage/i.test(output)) {
+        resolve(output);
+      } else if (signal) {
+        reject(new Error(`${execPath} did not respond within ${EXECUTABLE_CHECK_MS / 1000}s`));
+      } else {
+        reject(new Error(`${execPath} exited with code ${code}: ${output.slice(-500)}`));
+      }
+    });
+  });
+}
+
+// Electron no longer sets File.path, so files picked in the settings get
+// their path from webUtils where it exists
+function getFilePath(file) {
+  const { webUtils } = nodeRequire('electron');
+  return webUtils && webUtils.getPathForFile ? webUtils.getPathForFile(file) : file.path;
+}
+
 function findExecutable(dir, execNames) {
   const { fs, path } = getNodeModules();
   if (!fs.existsSync(dir)) {
@@ -161,31 +384,11 @@ function listDirRecursive(dir, prefix = '') {
   return results;
 }
 
-async function getLatestReleaseUrl(archivePattern, repo) {
-  const { https } = getNodeModules();
+// GitHub lists the size of each release asset, and for newer releases its
+// SHA-256 as a digest
+async function getLatestReleaseAsset(archivePattern, repo) {
   log('Fetching latest whisper.cpp release info');
-  const response = await new Promise((resolve, reject) => {
-    const makeRequest = (requestUrl) => {
-      https
-        .get(
-          requestUrl,
-          {
-            headers: { 'User-Agent': 'ObsidianWhisperPlugin' },
-          },
-          (res) => {
-            if (res.statusCode === 302 || res.statusCode === 301) {
-              makeRequest(res.headers.location);
-              return;
-            }
-            let data = '';
-            res.on('data', (chunk) => (data += chunk));
-            res.on('end', () => resolve({ status: res.statusCode, data }));
-          }
-        )
-        .on('error', reject);
-    };
-    makeRequest(repo);
-  });
+  const response = await requestJson(repo);
   if (response.status !== 200) {
     throw new Error(`GitHub API returned ${response.status}`);
   }
@@ -196,11 +399,92 @@ async function getLatestReleaseUrl(archivePattern, repo) {
     const availableAssets = releaseInfo.assets.map((a) => a.name).join(', ');
     throw new Error(`Could not find ${archivePattern} in release. Available: ${availableAssets}`);
   }
-  return asset.browser_download_url;
+  const digest = /^sha256:([0-9a-f]{64})$/.exec(asset.digest || '');
+  return { url: asset.browser_download_url, size: asset.size || null, sha256: digest ? digest[1] : null };
 }
 
-function writeWavFile(filePath, audioData, sampleRate) {
-  const { fs } = getNodeModules();
+// Convert whisper.cpp's full JSON output to the result shape shared with the
+// mobile engine: { text, language, segments: [{ start, end, text, tokens }] },
+// with times in seconds and token probabilities from 0 to 1.
+function parseJsonResult(json) {
+  const segments = (json.transcription || []).map((segment) => ({
+    start: segment.offsets.from / 1000,
+    end: segment.offsets.to / 1000,
+    text: segment.text.trim(),
+    tokens: (segment.tokens || [])
+      .filter((token) => !/^\[_.*\]$/.test(token.text))
+      .map((token) => ({
+        text: token.text,
+        start: token.offsets ? token.offsets.from / 1000 : null,
+        end: token.offsets ? token.offsets.to / 1000 : null,
+        probability: token.p,
+      })),
+  }));
+  return {
+    text: segments.map((segment) => segment.text).join(' '),
+    language: json.result && json.result.language ? json.result.language : null,
+    segments,
+  };
+}
+
+// whisper-server's verbose_json response follows OpenAI's format, with the
+// tokens of each segment listed as words and the language named in full.
+function parseServerResult(json) {
+  const segments = (json.segments || []).map((segment) => ({
+    start: segment.start,
+    end: segment.end,
+    text: segment.text.trim(),
+    tokens: (segment.words || [])
+      .filter((word) => !/^\[_.*\]$/.test(word.word))
+      .map((word) => ({
+        text: word.word,
+        start: typeof word.start === 'number' ? word.start : null,
+        end: typeof word.end === 'number' ? word.end : null,
+        probability: word.probability,
+      })),
+  }));
+  return {
+    text: segments.map((segment) => segment.text).join(' '),
+    language: languageCode(json.language),
+    segments,
+  };
+}
+
+function getFreePort() {
+  const { net } = getNodeModules();
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, SERVER_HOST, () => {
+      const port = server.address().port;
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function httpRequest(port, method, requestPath, body, headers = {}, signal) {
+  const { http } = getNodeModules();
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: SERVER_HOST, port, method, path: requestPath, headers, signal }, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => (data += chunk));
+      response.on('end', () => resolve({ status: response.statusCode, data }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function multipartBody(fields, fileData) {
+  const boundary = `----WhisperBoundary${Date.now().toString(16)}`;
+  const parts = Object.entries(fields).map(([name, value]) => Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="audio.wav"\r\nContent-Type: audio/wav\r\n\r\n`));
+  parts.push(fileData, Buffer.from(`\r\n--${boundary}--\r\n`));
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+function encodeWav(audioData, sampleRate) {
   const numChannels = 1;
   const bitsPerSample = 16;
   const byteRate = (sampleRate * numChannels * bitsPerSample) / 8;
@@ -227,7 +511,12 @@ function writeWavFile(filePath, audioData, sampleRate) {
     const intSample = Math.round(sample * 32767);
     buffer.writeInt16LE(intSample, 44 + i * 2);
   }
-  fs.writeFileSync(filePath, buffer);
+  return buffer;
+}
+
+function writeWavFile(filePath, audioData, sampleRate) {
+  const { fs } = getNodeModules();
+  fs.writeFileSync(filePath, encodeWav(audioData, sampleRate));
 }
 
 class DesktopTranscriber {
@@ -236,6 +525,13 @@ class DesktopTranscriber {
     this.whisperPath = null;
     this.modelPath = null;
     this.initialized = false;
+    // The whisper-server process keeps the model loaded between chunks
+    this.serverPath = null;
+    this.server = null;
+    this.serverPort = null;
+    this.serverStart = null;
+    this.serverArgs = null;
+    this.disposed = false;
   }
 
   getNodeModules() {
@@ -267,7 +563,15 @@ class DesktopTranscriber {
     await this.ensureDir(binDir);
     await this.ensureDir(modelsDir);
     const platformInfo = getPlatformInfo();
-    this.whisperPath = findExecutable(binDir, platformInfo.execNames);
+    const { executablePath } = this.plugin.settings;
+    if (executablePath) {
+      if (!fs.existsSync(executablePath)) {
+        throw new Error('whisper.cpp executable not found: ' + executablePath);
+      }
+      this.whisperPath = executablePath;
+    } else {
+      this.whisperPath = findExecutable(binDir, platformInfo.execNames);
+    }
     if (!this.whisperPath) {
       log('Downloading whisper executable');
       progressCallback({ status: 'downloading', message: 'Downloading whisper executable' });
@@ -278,35 +582,75 @@ class DesktopTranscriber {
         throw new Error('Could not find whisper executable after extraction. Contents: ' + contents.join(', '));
       }
     }
-    if (platformInfo.platform !== 'win32') {
+    if (platformInfo.platform !== 'win32' && !executablePath) {
       fs.chmodSync(this.whisperPath, 0o755);
     }
     log('Using whisper executable: ' + this.whisperPath);
-    const modelFileName = MODEL_MAP[modelId] || 'ggml-base.en.bin';
-    this.modelPath = path.join(modelsDir, modelFileName);
+    if (this.plugin.settings.persistentEngine) {
+      if (executablePath) {
+        // A server built alongside a custom executable sits in the same folder
+        const serverPaths = platformInfo.serverNames.map((name) => path.join(path.dirname(executablePath), name));
+        this.serverPath = serverPaths.find((serverPath) => fs.existsSync(serverPath)) || null;
+      } else {
+        this.serverPath = findExecutable(binDir, platformInfo.serverNames);
+      }
+      if (this.serverPath && platformInfo.platform !== 'win32' && !executablePath) {
+        fs.chmodSync(this.serverPath, 0o755);
+      }
+      log(this.serverPath ? 'Using whisper server: ' + this.serverPath : 'No whisper server in the release, running whisper-cli per chunk');
+    }
+    const { modelPath, modelFileName } = this.getModelFile(modelId);
+    this.modelPath = modelPath;
+    if (!modelFileName) {
+      if (!fs.existsSync(modelPath)) {
+        throw new Error('Model file not found: ' + modelPath);
+      }
+    } else if (fs.existsSync(this.modelPath) && !(await this.verifyCachedModel(modelFileName))) {
+      log('Cached model is incomplete or corrupt, downloading it again: ' + modelFileName);
+      fs.unlinkSync(this.modelPath);
+    }
     if (!fs.existsSync(this.modelPath)) {
       log('Downloading model: ' + modelFileName);
       progressCallback({ status: 'downloading', message: 'Downloading model: ' + modelFileName });
       await this.downloadModel(modelFileName, progressCallback);
     }
+    log(`Using ${readModelHeader(this.modelPath).format} model: ${this.modelPath}`);
+    if (this.serverPath) {
+      progressCallback({ status: 'loading', message: 'Loading model' });
+      try {
+        await this.ensureServer();
+      } catch (error) {
+        log('whisper server failed to start, running whisper-cli per chunk', error);
+        this.serverPath = null;
+      }
+    }
     this.initialized = true;
     progressCallback({ status: 'ready' });
     log('Desktop transcriber initialized');
   }
 
+  // The archive is extracted next to the bin folder and swapped in once
+  // complete, so an interrupted extraction can't leave a partial executable
   async downloadExecutable(binDir, platformInfo, progressCallback) {
     const { path, fs } = this.getNodeModules();
-    const url = await getLatestReleaseUrl(platformInfo.archivePattern, platformInfo.repo);
-    const zipPath = path.join(binDir, platformInfo.platform !== 'linux' ? 'whisper.zip' : 'whisper.tar.gz');
-    log('Downloading from: ' + url);
-    await downloadFile(url, zipPath, (loaded, total) => {
-      const pct = Math.round((loaded / total) * 100);
-      const mb = (loaded / 1024 / 1024).toFixed(1);
-      progressCallback({ status: 'progress', loaded, total, message: `Downloading executable: ${pct}% (${mb}MB)` });
-    });
+    const asset = await this.getExecutableAsset(platformInfo);
+    const zipPath = path.join(path.dirname(binDir), platformInfo.platform !== 'linux' ? 'whisper.zip' : 'whisper.tar.gz');
+    log('Downloading from: ' + asset.url);
+    await downloadFile(
+      asset.url,
+      zipPath,
+      (loaded, total) => {
+        const pct = Math.round((loaded / total) * 100);
+        const mb = (loaded / 1024 / 1024).toFixed(1);
+        progressCallback({ status: 'progress', loaded, total, message: `Downloading executable: ${pct}% (${mb}MB)` });
+      },
+      asset
+    );
     log('Extracting archive');
     progressCallback({ status: 'extracting', message: 'Extracting' });
-    await extractZip(zipPath, binDir, platformInfo.platform);
+    const stagingDir = this.createStagingDir(binDir);
+    await extractZip(zipPath, stagingDir, platformInfo.platform);
+    this.replaceDir(stagingDir, binDir);
     try {
       fs.unlinkSync(zipPath);
     } catch (e) {
@@ -314,30 +658,401 @@ class DesktopTranscriber {
     }
   }
 
+  // A local mirror can stand in for GitHub by serving the release archive
+  // under its usual name
+  async getExecutableAsset(platformInfo) {
+    const baseUrl = this.plugin.settings.executableBaseUrl;
+    if (baseUrl) {
+      return { url: `${baseUrl.replace(/\/+$/, '')}/${platformInfo.archivePattern}`, size: null, sha256: null };
+    }
+    return getLatestReleaseAsset(platformInfo.archivePattern, platformInfo.repo);
+  }
+
+  getModelUrl(modelFileName) {
+    return `${(this.plugin.settings.modelBaseUrl || MODEL_BASE_URL).replace(/\/+$/, '')}/${modelFileName}`;
+  }
+
+  createStagingDir(dir) {
+    const { fs } = this.getNodeModules();
+    const stagingDir = dir + '.part';
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.mkdirSync(stagingDir, { recursive: true });
+    return stagingDir;
+  }
+
+  replaceDir(stagingDir, dir) {
+    const { fs } = this.getNodeModules();
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(stagingDir, dir);
+  }
+
+  // Install a whisper.cpp executable, or a release archive containing one,
+  // from a file on disk.  It replaces the current one only once it has been
+  // shown to run.
+  async importExecutable(filePath) {
+    const { path, fs } = this.getNodeModules();
+    const platformInfo = getPlatformInfo();
+    const binDir = path.join(this.getPluginDir(), 'bin');
+    const stagingDir = this.createStagingDir(binDir);
+    try {
+      if (/\.(zip|tar\.gz|tgz)$/i.test(filePath)) {
+        await extractZip(filePath, stagingDir, platformInfo.platform);
+      } else {
+        fs.copyFileSync(filePath, path.join(stagingDir, platformInfo.execNames[0]));
+      }
+      const execPath = findExecutable(stagingDir, platformInfo.execNames);
+      if (!execPath) {
+        throw new Error(`no ${platformInfo.execNames.join(' or ')} in ${path.basename(filePath)}`);
+      }
+      const serverPath = findExecutable(stagingDir, platformInfo.serverNames);
+      if (platformInfo.platform !== 'win32') {
+        [execPath, serverPath].filter((file) => file).forEach((file) => fs.chmodSync(file, 0o755));
+      }
+      await checkExecutable(execPath);
+    } catch (error) {
+      fs.rmSync(stagingDir, { recursive: true, force: true });
+      throw error;
+    }
+    await this.stopServer();
+    this.replaceDir(stagingDir, binDir);
+    log('Imported whisper executable from ' + filePath);
+  }
+
+  // Copy a model file into the models folder under the name of the model it
+  // turns out to be, and return that model's id
+  async importModel(filePath) {
+    const { path, fs } = this.getNodeModules();
+    const header = readModelHeader(filePath);
+    if (header.format !== 'ggml') {
+      throw new Error('only ggml models (ggml-*.bin) can be imported, use the custom model setting for others');
+    }
+    // It would be saved under the name of the full precision model
+    if (header.quantized) {
+      throw new Error("quantized models can't be imported, enter the file's path under 'Custom model' instead");
+    }
+    const fileName = `ggml-${MODEL_SIZES[header.audioLayers]}${header.english ? '.en' : ''}.bin`;
+    const modelId = Object.keys(MODEL_MAP).find((id) => MODEL_MAP[id] === fileName);
+    if (!MODEL_SIZES[header.audioLayers] || !modelId) {
+      throw new Error(`not one of the models this plugin offers (${header.audioLayers} encoder layers)`);
+    }
+    const modelsDir = path.join(this.getPluginDir(), 'models');
+    await this.ensureDir(modelsDir);
+    const modelPath = path.join(modelsDir, fileName);
+    const partPath = modelPath + '.part';
+    await fs.promises.copyFile(filePath, partPath);
+    const sha256 = await hashFile(partPath, 'sha256');
+    if (modelPath === this.modelPath) {
+      await this.stopServer();
+    }
+    fs.renameSync(partPath, modelPath);
+    this.recordModel(fileName, { size: fs.statSync(modelPath).size, sha256 });
+    log(`Imported ${fileName} from ${filePath}`);
+    return modelId;
+  }
+
   async downloadModel(modelFileName, progressCallback) {
-    const url = `${MODEL_BASE_URL}/${modelFileName}`;
-    log('Downloading model from: ' + url);
-    await downloadFile(url, this.modelPath, (loaded, total) => {
-      const pct = Math.round((loaded / total) * 100);
-      const mb = (loaded / 1024 / 1024).toFixed(1);
-      progressCallback({ status: 'progress', loaded, total, message: `Downloading model: ${pct}% (${mb}MB)` });
-    });
+    const { fs } = this.getNodeModules();
+    const url = this.getModelUrl(modelFileName);
+    const known = KNOWN_MODELS[modelFileName] || {};
+    let info = {};
+    try {
+      info = await getModelInfo(url);
+    } catch (error) {
+      log('Could not fetch model size and checksum', error);
+    }
+    const expected = { size: known.size || info.size, sha256: info.sha256, sha1: known.sha1 };
+    log('Downloading model from: ' + url, expected);
+    await downloadFile(
+      url,
+      this.modelPath,
+      (loaded, total) => {
+        const pct = Math.round((loaded / total) * 100);
+        const mb = (loaded / 1024 / 1024).toFixed(1);
+        progressCallback({ status: 'progress', loaded, total, message: `Downloading model: ${pct}% (${mb}MB)` });
+      },
+      expected,
+      readModelHeader
+    );
+    this.recordModel(modelFileName, { size: fs.statSync(this.modelPath).size, sha256: expected.sha256 || null, sha1: expected.sha1 || null });
     log('Model downloaded: ' + this.modelPath);
   }
 
-  async transcribe(audioData) {
-    const { path, fs, os, spawn } = this.getNodeModules();
+  getManifestPath() {
+    const { path } = this.getNodeModules();
+    return path.join(this.getPluginDir(), 'models', DOWNLOAD_MANIFEST);
+  }
+
+  readManifest() {
+    const { fs } = this.getNodeModules();
+    try {
+      return JSON.parse(fs.readFileSync(this.getManifestPath(), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  recordModel(modelFileName, entry) {
+    const { fs } = this.getNodeModules();
+    const manifest = this.readManifest();
+    manifest[modelFileName] = entry;
+    fs.writeFileSync(this.getManifestPath(), JSON.stringify(manifest, null, 2));
+  }
+
+  // A model in the manifest was verified when downloaded, so its size is
+  // enough to tell it is intact, as long as it is also the published size.
+  // One downloaded before downloads were verified is checked once against the
+  // published checksum or the source's, or trusted when neither is known.
+  async verifyCachedModel(modelFileName) {
+    const { fs } = this.getNodeModules();
+    const size = fs.statSync(this.modelPath).size;
+    const entry = this.readManifest()[modelFileName];
+    const known = KNOWN_MODELS[modelFileName];
+    if (entry) {
+      return size === entry.size && (!known || size === known.size);
+    }
+    let expected = known;
+    if (!expected) {
+      try {
+        expected = await getModelInfo(this.getModelUrl(modelFileName));
+      } catch (error) {
+        log('Could not check cached model, using it as is', error);
+        return true;
+      }
+    }
+    try {
+      await verifyFile(this.modelPath, expected);
+      readModelHeader(this.modelPath);
+    } catch (error) {
+      log('Cached model failed verification', error);
+      return false;
+    }
+    this.recordModel(modelFileName, { size, sha256: expected.sha256 || null, sha1: expected.sha1 || null });
+    return true;
+  }
+
+  // Decoding and performance flags, understood by both whisper-cli and
+  // whisper-server.  Options left at their defaults aren't passed, so older
+  // builds that lack a flag still run.
+  getDecodingArgs() {
+    const { os } = this.getNodeModules();
+    const settings = this.plugin.settings;
+    const args = ['-t', String(settings.threads || defaultThreads(os.cpus().length, settings.maxConcurrentJobs))];
+    if (settings.beamSize) {
+      args.push('-bs', String(settings.beamSize));
+    }
+    if (settings.bestOf) {
+      args.push('-bo', String(settings.bestOf));
+    }
+    if (settings.temperatureFallback === false) {
+      args.push('-nf');
+    }
+    if (settings.noSpeechThreshold) {
+      args.push('-nth', String(settings.noSpeechThreshold));
+    }
+    if (settings.flashAttention === 'on') {
+      args.push('-fa');
+    } else if (settings.flashAttention === 'off') {
+      args.push('-nfa');
+    }
+    if (settings.useGpu === false) {
+      args.push('-ng');
+    }
+    return args;
+  }
+
+  ensureServer() {
+    if (this.disposed) {
+      return Promise.reject(new Error('Transcriber has been shut down'));
+    }
+    if (!this.serverStart) {
+      this.serverStart = this.startServer().catch((error) => {
+        this.serverStart = null;
+        throw error;
+      });
+    }
+    return this.serverStart;
+  }
+
+  async startServer() {
+    const { spawn } = this.getNodeModules();
+    this.serverPort = await getFreePort();
+    if (this.disposed) {
+      throw new Error('Transcriber has been shut down');
+    }
+    const decodingArgs = this.getDecodingArgs();
+    const args = ['-m', this.modelPath, '--host', SERVER_HOST, '--port', String(this.serverPort), ...decodingArgs];
+    this.serverArgs = decodingArgs.join(' ');
+    log('Starting whisper server: ' + this.serverPath + ' ' + args.join(' '));
+    const proc = spawn(this.serverPath, args);
+    this.server = proc;
+    let stderr = '';
+    // Both pipes must be drained or the server blocks once they fill up
+    proc.stdout.on('data', () => {});
+    proc.stderr.on('data', (data) => {
+      stderr = (stderr + data.toString()).slice(-2000);
+    });
+    const exited = () => {
+      if (this.server === proc) {
+        this.server = null;
+        this.serverStart = null;
+      }
+    };
+    proc.on('exit', (code, signal) => {
+      log('whisper server exited', { code, signal, stderr });
+      exited();
+    });
+    proc.on('error', (error) => {
+      log('whisper server spawn error', error);
+      exited();
+    });
+    const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+    while (!(await this.checkHealth())) {
+      if (this.server !== proc) {
+        throw new Error('whisper server exited during startup: ' + stderr);
+      }
+      if (Date.now() > deadline) {
+        this.stopServer();
+        throw new Error('whisper server did not start in time');
+      }
+      await new Promise((resolve) => setTimeout(resolve, SERVER_POLL_MS));
+    }
+    log('whisper server ready on port ' + this.serverPort);
+  }
+
+  // Servers without a /health endpoint only listen once the model is loaded
+  async checkHealth() {
+    try {
+      const response = await httpRequest(this.serverPort, 'GET', '/health');
+      return response.status === 200 || response.status === 404;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Resolves once the process has exited, as Windows keeps the executable
+  // locked until then
+  stopServer() {
+    const proc = this.server;
+    this.server = null;
+    this.serverStart = null;
+    if (!proc) {
+      return Promise.resolve();
+    }
+    log('Stopping whisper server');
+    return new Promise((resolve) => {
+      proc.once('exit', resolve);
+      if (!proc.kill()) {
+        resolve();
+      }
+    });
+  }
+
+  // After shutdown the transcriber never starts another server, so a chunk
+  // still being transcribed fails instead of outliving the plugin or model
+  shutdown() {
+    this.disposed = true;
+    return this.stopServer();
+  }
+
+  // Uses the server when there is one, restarting it if it crashed, and
+  // falls back to running whisper-cli per chunk if it keeps failing.
+  async transcribe(audioData, options = {}) {
     if (!this.initialized) {
       throw new Error('Transcriber not initialized');
     }
+    if (this.disposed) {
+      throw new Error('Transcriber has been shut down');
+    }
+    // The server takes its options when it starts, so it is restarted when
+    // they have changed
+    if (this.server && this.serverArgs !== this.getDecodingArgs().join(' ')) {
+      log('whisper.cpp options changed, restarting the server');
+      this.stopServer();
+    }
+    for (let attempt = 0; this.serverPath; attempt++) {
+      try {
+        await this.ensureServer();
+        return await this.transcribeWithServer(audioData, options);
+      } catch (error) {
+        if (error.fromServer || this.disposed || (options.signal && options.signal.aborted)) {
+          throw error;
+        }
+        this.stopServer();
+        if (attempt >= SERVER_RESTARTS) {
+          log('whisper server keeps failing, running whisper-cli per chunk from now on', error);
+          this.serverPath = null;
+        } else {
+          log('whisper server unavailable, restarting', error);
+        }
+      }
+    }
+    return this.transcribeWithCli(audioData, options);
+  }
+
+  async transcribeWithServer(audioData, options) {
+    const fields = { response_format: 'verbose_json', translate: options.translate ? 'true' : 'false' };
+    if (options.language !== undefined) {
+      fields.language = options.language || 'auto';
+    }
+    if (options.prompt) {
+      fields.prompt = options.prompt;
+    }
+    const { body, contentType } = multipartBody(fields, encodeWav(audioData, 16000));
+    log('Sending audio to whisper server', { samples: audioData.length, language: fields.language });
+    // The server can't abandon a request, so a cancelled chunk stops the
+    // server and it is started again for the next one
+    const stop = () => this.stopServer();
+    if (options.signal) {
+      options.signal.addEventListener('abort', stop);
+    }
+    let response;
+    try {
+      response = await httpRequest(this.serverPort, 'POST', '/inference', body, { 'Content-Type': contentType, 'Content-Length': body.length }, options.signal);
+    } finally {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', stop);
+      }
+    }
+    if (response.status !== 200) {
+      const error = new Error(`whisper server returned ${response.status}: ${response.data}`);
+      error.fromServer = true;
+      throw error;
+    }
+    const json = JSON.parse(response.data);
+    if (json.error) {
+      const error = new Error('whisper server error: ' + json.error);
+      error.fromServer = true;
+      throw error;
+    }
+    const result = parseServerResult(json);
+    log('Transcription result: ' + result.text);
+    return result;
+  }
+
+  async transcribeWithCli(audioData, options) {
+    const { path, fs, os, spawn } = this.getNodeModules();
     const tempDir = os.tmpdir();
-    const tempWavPath = path.join(tempDir, `whisper-${Date.now()}.wav`);
+    // Chunks can be transcribed concurrently, so the name must be unique
+    const tempBasePath = path.join(tempDir, `whisper-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    const tempWavPath = tempBasePath + '.wav';
+    const tempJsonPath = tempBasePath + '.json';
     writeWavFile(tempWavPath, audioData, 16000);
     log('Wrote temp WAV: ' + tempWavPath);
     return new Promise((resolve, reject) => {
-      const args = ['-m', this.modelPath, '-f', tempWavPath, '-nt', '-np'];
+      const args = ['-m', this.modelPath, '-f', tempWavPath, '-np', '-oj', '-ojf', '-of', tempBasePath, ...this.getDecodingArgs()];
+      // English-only models are given no language, and a null one is detected
+      if (options.language !== undefined) {
+        args.push('-l', options.language || 'auto');
+      }
+      if (options.translate) {
+        args.push('-tr');
+      }
+      if (options.prompt) {
+        args.push('--prompt', options.prompt);
+      }
       log('Spawning whisper: ' + this.whisperPath + ' ' + args.join(' '));
-      const proc = spawn(this.whisperPath, args);
+      // Aborting the signal kills the process
+      const proc = spawn(this.whisperPath, args, { signal: options.signal });
       let stdout = '';
       let stderr = '';
       proc.stdout.on('data', (data) => {
@@ -353,9 +1068,20 @@ class DesktopTranscriber {
           log('Failed to delete temp file', e);
         }
         if (code === 0) {
-          const text = stdout.trim();
-          log('Transcription result: ' + text);
-          resolve({ text });
+          let result;
+          try {
+            result = parseJsonResult(JSON.parse(fs.readFileSync(tempJsonPath, 'utf8')));
+          } catch (error) {
+            log('whisper.cpp output unreadable', { error, stdout });
+            reject(new Error('Could not read whisper.cpp output: ' + error.message));
+            return;
+          } finally {
+            try {
+              fs.unlinkSync(tempJsonPath);
+            } catch (e) {}
+          }
+          log('Transcription result: ' + result.text);
+          resolve(result);
         } else {
           log('whisper.cpp failed', { code, stderr });
           reject(new Error(`whisper.cpp exited with code ${code}: ${stderr}`));
@@ -371,17 +1097,35 @@ class DesktopTranscriber {
     });
   }
 
+  // The custom model setting is either the path of a model file anywhere on
+  // disk, which has no file name to download, or the name of a file to
+  // download from the model download URL, such as a quantized or large model
+  getModelFile(modelId) {
+    const { path } = this.getNodeModules();
+    const customModel = (this.plugin.settings.customModel || '').trim();
+    if (customModel && path.isAbsolute(customModel)) {
+      return { modelPath: customModel, modelFileName: null };
+    }
+    if (customModel && !/^[\w.-]+$/.test(customModel)) {
+      throw new Error(`Custom model must be a full path or a file name: ${customModel}`);
+    }
+    const modelFileName = customModel || MODEL_MAP[modelId] || 'ggml-base.en.bin';
+    return { modelPath: path.join(this.getPluginDir(), 'models', modelFileName), modelFileName };
+  }
+
   isModelCached(modelId) {
-    const { path, fs } = this.getNodeModules();
-    const pluginDir = this.getPluginDir();
-    const modelsDir = path.join(pluginDir, 'models');
-    const modelFileName = MODEL_MAP[modelId] || 'ggml-base.en.bin';
-    const modelPath = path.join(modelsDir, modelFileName);
-    return fs.existsSync(modelPath);
+    const { fs } = this.getNodeModules();
+    const { modelPath, modelFileName } = this.getModelFile(modelId);
+    if (!fs.existsSync(modelPath)) {
+      return false;
+    }
+    const entry = modelFileName && this.readManifest()[modelFileName];
+    return !entry || fs.statSync(modelPath).size === entry.size;
   }
 
-  clearCache() {
+  async clearCache() {
     const { path, fs } = this.getNodeModules();
+    await this.stopServer();
     const pluginDir = this.getPluginDir();
     const modelsDir = path.join(pluginDir, 'models');
     if (fs.existsSync(modelsDir)) {
@@ -391,7 +1135,11 @@ class DesktopTranscriber {
     if (fs.existsSync(binDir)) {
       fs.rmSync(binDir, { recursive: true, force: true });
     }
+    fs.rmSync(binDir + '.part', { recursive: true, force: true });
+    for (const name of ['whisper.zip', 'whisper.tar.gz']) {
+      fs.rmSync(path.join(pluginDir, name + '.part'), { force: true });
+    }
   }
 }
 
-module.exports = { DesktopTranscriber };
+module.exports = { DesktopTranscriber, getFilePath, checkExecutable, downloadFile, downloadPart, verifyFile };
@@ -0,0 +1,90 @@
+const { editorInfoField } = require('obsidian');
+
+// A position in a note, as a character offset, that follows the edits made
+// to the note so transcribed text keeps landing where the previous chunk
+// ended.  It is tied to the note's path rather than an editor, so it still
+// holds when the note is moved to another pane or closed.
+//
+// The anchor also tracks the ranges of text inserted through it, so that a
+// whole session can be removed and restored later.
+class InsertionAnchor {
+  constructor(path, offset) {
+    this.path = path;
+    this.offset = offset;
+    this.doc = null;
+    // Prepended to each new line, such as "> " inside a callout
+    this.linePrefix = '';
+    this.ranges = [];
+    // Text removed by undoing the session, with where to restore it
+    this.removed = [];
+  }
+
+  // Called with every editor update.  A note open in several panes receives
+  // the same change in each of them, so a change is only mapped once: the
+  // other panes already hold the document the anchor was mapped to.
+  map(update) {
+    if (!update.docChanged) {
+      return;
+    }
+    const info = update.state.field(editorInfoField, false);
+    if (!info || !info.file || info.file.path !== this.path) {
+      return;
+    }
+    if (this.doc && update.state.doc.eq(this.doc)) {
+      return;
+    }
+    const changes = update.changes;
+    // Text typed right at the anchor goes after the transcript
+    this.offset = changes.mapPos(this.offset, -1);
+    this.removed = this.removed.map((entry) => ({ pos: changes.mapPos(entry.pos, -1), text: entry.text }));
+    // Ranges don't grow to include text typed at their edges, and are split
+    // around text typed inside them
+    const inserted = [];
+    changes.iterChanges((fromA, toA, fromB, toB) => {
+      if (toB > fromB) {
+        inserted.push([fromB, toB]);
+      }
+    });
+    this.ranges = this.ranges.flatMap((range) => {
+      let pieces = [{ from: changes.mapPos(range.from, 1), to: changes.mapPos(range.to, -1) }];
+      for (const [from, to] of inserted) {
+        pieces = pieces.flatMap((piece) => (from < piece.to && to > piece.from ? [Object.assign({}, piece, { to: from }), Object.assign({}, piece, { from: to })] : [piece]));
+      }
+      return pieces.filter((piece) => piece.to > piece.from);
+    });
+    this.doc = update.state.doc;
+  }
+
+  // Record an edit made to the note's file while no editor showed it,
+  // replacing the text from `from` to `to` with length characters
+  recordEdit(from, to, length) {
+    const mapPos = (pos) => (pos <= from ? pos : pos >= to ? pos + length - (to - from) : from);
+    this.offset = mapPos(this.offset);
+    this.removed = this.removed.map((entry) => ({ pos: mapPos(entry.pos), text: entry.text }));
+    this.ranges = this.ranges.map((range) => ({ from: mapPos(range.from), to: mapPos(range.to) })).filter((range) => range.to > range.from);
+  }
+
+  addRange(from, to) {
+    if (to <= from) {
+      return;
+    }
+    const ranges = [...this.ranges, { from, to }].sort((a, b) => a.from - b.from);
+    this.ranges = [];
+    for (const range of ranges) {
+      const last = this.ranges[this.ranges.length - 1];
+      if (last && range.from <= last.to) {
+        last.to = Math.max(last.to, range.to);
+      } else {
+        this.ranges.push(Object.assign({}, range));
+      }
+    }
+  }
+
+  // Record an insertion made at the anchor, leaving the anchor after it
+  advance(length) {
+    this.addRange(this.offset, this.offset + length);
+    this.offset += length;
+  }
+}
+
+module.exports = { InsertionAnchor };
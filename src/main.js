@@ -1,6 +1,7 @@
-const { Plugin, Notice, PluginSettingTab, Setting, MarkdownView, setIcon } = require('obsidian');
+const { EditorView } = require('@codemirror/view');
+const { Plugin, Notice, PluginSettingTab, Setting, MarkdownView, FuzzySuggestModal, TFile, normalizePath, moment, setIcon } = require('obsidian');
 
-let pipeline, env, DesktopTranscriber;
+let pipeline, env, DesktopTranscriber, getFilePath, checkExecutable;
 
 // Conditional imports based on platform
 const isMobilePlatform = typeof process === 'undefined' || !process.versions || !process.versions.electron;
@@ -14,7 +15,64 @@ if (isMobilePlatform) {
 } else {
   const desktopModule = require('./desktop-transcriber.js');
   DesktopTranscriber = desktopModule.DesktopTranscriber;
+  getFilePath = desktopModule.getFilePath;
+  checkExecutable = desktopModule.checkExecutable;
 }
+const { VoiceActivityDetector } = require('./voice-activity.js');
+const { AudioCapture, resampleAudio, TARGET_SAMPLE_RATE } = require('./audio-capture.js');
+const { parseFilters, filterSegments, parseCommands, applyCommands, dropLastSentence, compileReplacements, applyReplacements, mergeOverlap, splitWords, dropLeadingWords, joinSegments, joinSeam, markLowConfidence, findLowConfidenceMarkers, findSectionEnd, formatTimestamped, formatSrt, formatVtt } = require('./text-processing.js');
+const { LANGUAGES, languageCode, languageName } = require('./languages.js');
+const { InsertionAnchor } = require('./insertion-anchor.js');
+const { provisionalField, showProvisional } = require('./provisional-text.js');
+const { TranscriptionQueue } = require('./transcription-queue.js');
+
+// Rough upper bound on speech rate, used to limit how many words can repeat
+const WORDS_PER_SECOND = 4;
+// Audio files are transcribed in pieces of Whisper's native window length
+const FILE_CHUNK_MS = 30000;
+// Chunks waiting in a full queue are joined up to Whisper's window length
+const MAX_JOB_SECONDS = 30;
+const AUDIO_EXTENSIONS = ['mp3', 'm4a', 'webm', 'wav', 'ogg', 'flac', '3gp'];
+const TRANSCRIPT_CALLOUT = '> [!transcript]';
+// Notes can add to the prompt with this frontmatter property
+const PROMPT_PROPERTY = 'whisper-prompt';
+const REPLACEMENTS_FILE = 'whisper-replacements.json';
+// Where a recording's transcript goes, completing "Start Voice Transcription ..."
+const DESTINATIONS = {
+  cursor: 'at the cursor',
+  end: 'at the end of the note',
+  daily: 'in the daily note',
+  note: 'in a new note',
+};
+// How much of the previous chunk's text is carried into the next prompt
+const CONTEXT_WORDS = 40;
+// Whisper's prompt is limited to half of its 448 token context
+const MAX_PROMPT_TOKENS = 223;
+const DEFAULT_HALLUCINATION_FILTERS = [
+  'you',
+  'Thank you for watching.',
+  'Thanks for watching!',
+  'Thank you so much for watching.',
+  'Please subscribe to my channel.',
+  'Like and subscribe.',
+  '/\\[BLANK_AUDIO\\]/',
+  '/(?:subtitles|captions) by .*/i',
+].join('\n');
+const DEFAULT_SPOKEN_COMMANDS = [
+  'new line = \\n',
+  'new paragraph = \\n\\n',
+  'period = .',
+  'full stop = .',
+  'comma = ,',
+  'question mark = ?',
+  'exclamation mark = !',
+  'colon = :',
+  'bullet point = \\n-',
+  'heading one = \\n#',
+  'heading two = \\n##',
+  'heading three = \\n###',
+  'scratch that = {scratch}',
+].join('\n');
 
 function log(message, data) {
   const timestamp = new Date().toISOString().substr(11, 12);
@@ -50,26 +108,139 @@ async function isModelCached(modelId) {
   }
 }
 
+// Convert transformers.js output to the result shape returned by
+// DesktopTranscriber.transcribe().  The pipeline doesn't report token
+// probabilities, so segments have no tokens, and it names the detected
+// language rather than giving its code.
+function normalizePipelineOutput(output, duration) {
+  const text = (output.text || '').trim();
+  const chunks = output.chunks && output.chunks.length ? output.chunks : [{ timestamp: [0, duration], text }];
+  const segments = chunks.map((chunk) => ({
+    start: chunk.timestamp[0] !== null ? chunk.timestamp[0] : 0,
+    end: chunk.timestamp[1] !== null ? chunk.timestamp[1] : duration,
+    text: chunk.text.trim(),
+    tokens: [],
+  }));
+  return {
+    text,
+    language: languageCode(chunks[0].language),
+    segments,
+  };
+}
+
+// transformers.js 2.x has no prompt option, so the prompt is passed to the
+// decoder as previous text the way Whisper was trained, and removed from the
+// decoded output.  The pipeline only forces the language and task tokens
+// at the start of the decoder input, so they follow the prompt here instead.
+function buildDecoderInputIds(tokenizer, prompt, language, task) {
+  const [startOfPrev, startOfTranscript] = tokenizer.model.convert_tokens_to_ids(['<|startofprev|>', '<|startoftranscript|>']);
+  const promptIds = tokenizer.encode(' ' + prompt.trim(), null, { add_special_tokens: false }).slice(-MAX_PROMPT_TOKENS);
+  const taskIds = language ? tokenizer.get_decoder_prompt_ids({ language, task, no_timestamps: false }).map(([, id]) => id) : [];
+  return { ids: [startOfPrev, ...promptIds, startOfTranscript, ...taskIds], text: tokenizer.decode(promptIds).trim() };
+}
+
+// Matches model ids such as whisper-base.en and file names such as
+// ggml-base.en-q5_1.bin
+function isEnglishOnlyModel(modelName) {
+  return /\.en([.-]|$)/.test(modelName);
+}
+
+function stripPrompt(output, promptText) {
+  const strip = (text) => {
+    const trimmed = (text || '').trim();
+    return trimmed.startsWith(promptText) ? trimmed.slice(promptText.length) : text;
+  };
+  const chunks = output.chunks ? output.chunks.slice() : null;
+  if (chunks && chunks.length) {
+    chunks[0] = Object.assign({}, chunks[0], { text: strip(chunks[0].text) });
+  }
+  return Object.assign({}, output, { text: strip(output.text), chunks });
+}
+
+function getRecorderMimeType() {
+  const mimeTypes = ['audio/webm;codecs=opus', 'audio/webm', 'audio/mp4'];
+  return mimeTypes.find((mimeType) => MediaRecorder.isTypeSupported(mimeType)) || '';
+}
+
 class WhisperTranscriptionPlugin extends Plugin {
   settings = {
     modelId: 'Xenova/whisper-base.en',
     chunkDurationMs: 10000,
+    chunkMode: 'timer',
+    vadMinChunkMs: 3000,
+    vadSilenceMs: 700,
+    overlapMs: 0,
+    paragraphPauseMs: 3000,
+    liveText: false,
+    liveIntervalMs: 2000,
+    maxConcurrentJobs: 1,
+    maxQueuedJobs: 3,
+    jobTimeoutMs: 300000,
+    threads: 0,
+    beamSize: 0,
+    bestOf: 0,
+    temperatureFallback: true,
+    noSpeechThreshold: 0,
+    flashAttention: 'default',
+    useGpu: true,
+    numBeams: 1,
+    chunkLengthS: 0,
+    strideLengthS: 0,
+    highlightLowConfidence: false,
+    lowConfidenceThreshold: 0.5,
+    lowConfidenceFormat: '=={word}==',
+    saveRecordings: false,
+    timestamps: false,
+    hallucinationFilters: DEFAULT_HALLUCINATION_FILTERS,
+    keepSoundTags: false,
+    removeRepeats: true,
+    spokenCommands: false,
+    spokenCommandList: DEFAULT_SPOKEN_COMMANDS,
+    initialPrompt: '',
+    carryContext: true,
+    replacements: [],
+    language: 'en',
+    translate: false,
+    persistentEngine: true,
+    modelBaseUrl: '',
+    executablePath: '',
+    customModel: '',
+    executableBaseUrl: '',
+    destination: 'cursor',
+    dailyNoteHeading: '## Transcripts',
+    newNoteFolder: '',
+    newNoteTemplate: '',
   };
   transcriber = null;
+  transcriberStale = false;
   desktopTranscriber = null;
   isRecording = false;
   isModelLoading = false;
   mediaStream = null;
-  currentRecorder = null;
-  targetEditor = null;
+  capture = null;
+  sessionRecorder = null;
+  session = null;
+  chunkStart = 0;
+  anchor = null;
   statusNotice = null;
-  processingCount = 0;
+  queue = new TranscriptionQueue(() => this.showBacklog());
+  backlog = 0;
+  backlogNotice = null;
   chunkNumber = 0;
   lastStatus = 0;
-  isStopping = false;
   nextInsertChunk = 1;
   pendingResults = new Map();
+  stitchState = { lastText: '', lastEnd: null };
+  lastInsertion = null;
+  notePrompt = '';
+  detectedLanguage = null;
   wakeLock = null;
+  vad = null;
+  isTranscribingFile = false;
+  provisional = new Map();
+  liveJob = null;
+  liveController = null;
+  liveSamples = 0;
 
   async onload() {
     log('Plugin loading');
@@ -92,6 +263,76 @@ class WhisperTranscriptionPlugin extends Plugin {
       callback: () => this.toggleRecording(false),
       icon: 'mic-off',
     });
+    this.addCommand({
+      id: 'cancel-transcription',
+      name: 'Stop and discard pending transcription',
+      callback: () => this.cancelTranscription(),
+      icon: 'circle-slash',
+    });
+    for (const [destination, label] of Object.entries(DESTINATIONS)) {
+      this.addCommand({
+        id: `start-transcription-${destination}`,
+        name: `Start Voice Transcription ${label}`,
+        callback: () => this.toggleRecording(true, destination),
+        icon: 'mic',
+      });
+    }
+    this.addCommand({
+      id: 'transcribe-audio-file',
+      name: 'Transcribe audio file',
+      callback: () => new AudioFileSuggestModal(this.app, (file) => this.transcribeFileToNote(file)).open(),
+      icon: 'file-audio',
+    });
+    this.addCommand({
+      id: 'transcribe-audio-embed',
+      name: 'Transcribe audio embed under cursor',
+      editorCallback: (editor, view) => this.transcribeEmbed(editor, view),
+      icon: 'file-audio',
+    });
+    this.addCommand({
+      id: 'undo-transcription-session',
+      name: 'Undo last transcription session',
+      callback: () => this.undoSession(),
+      icon: 'undo',
+    });
+    this.addCommand({
+      id: 'reinsert-transcription-session',
+      name: 'Re-insert undone transcription session',
+      callback: () => this.reinsertSession(),
+      icon: 'redo',
+    });
+    this.addCommand({
+      id: 'strip-low-confidence-markers',
+      name: 'Remove low-confidence markers',
+      editorCallback: (editor, view) => this.stripLowConfidenceMarkers(editor, view),
+      icon: 'highlighter',
+    });
+    this.addCommand({
+      id: 'export-subtitles',
+      name: 'Export subtitles for last recording',
+      callback: () => this.exportSubtitles(),
+      icon: 'captions',
+    });
+    this.registerEditorExtension([EditorView.updateListener.of((update) => this.anchor && this.anchor.map(update)), provisionalField]);
+    this.registerEvent(
+      this.app.vault.on('rename', (file, oldPath) => {
+        if (this.anchor && this.anchor.path === oldPath) {
+          this.anchor.path = file.path;
+        }
+      })
+    );
+    this.registerEvent(
+      this.app.workspace.on('file-menu', (menu, file) => {
+        if (file instanceof TFile && AUDIO_EXTENSIONS.includes(file.extension.toLowerCase())) {
+          menu.addItem((item) => {
+            item
+              .setTitle('Transcribe audio file')
+              .setIcon('file-audio')
+              .onClick(() => this.transcribeFileToNote(file));
+          });
+        }
+      })
+    );
     this.ribbonIcon = this.addRibbonIcon('mic-off', 'Toggle Voice Transcription', (evt) => {
       this.toggleRecording();
     });
@@ -101,6 +342,10 @@ class WhisperTranscriptionPlugin extends Plugin {
 
   async loadSettings() {
     this.settings = Object.assign({}, this.settings, await this.loadData());
+    // Flash attention used to be a toggle that left it at the default when off
+    if (typeof this.settings.flashAttention === 'boolean') {
+      this.settings.flashAttention = this.settings.flashAttention ? 'on' : 'default';
+    }
     log('Settings loaded', this.settings);
   }
 
@@ -149,8 +394,14 @@ class WhisperTranscriptionPlugin extends Plugin {
     this.wakeLock = null;
   }
 
+  // Settings that change the engine take effect the next time it is loaded,
+  // so a recording in progress keeps every chunk going to the current one
+  resetTranscriber() {
+    this.transcriberStale = true;
+  }
+
   async loadModel() {
-    if (this.transcriber) {
+    if (this.transcriber && !this.transcriberStale) {
       log('Model already loaded');
       return true;
     }
@@ -160,16 +411,21 @@ class WhisperTranscriptionPlugin extends Plugin {
       return false;
     }
     this.isModelLoading = true;
+    this.transcriber = null;
+    this.transcriberStale = false;
     try {
       // Desktop path: use whisper.cpp
       if (!isMobilePlatform) {
+        if (this.desktopTranscriber) {
+          await this.desktopTranscriber.shutdown();
+        }
         this.desktopTranscriber = new DesktopTranscriber(this);
         await this.desktopTranscriber.initialize(this.settings.modelId, (progress) => {
           if (progress.message) {
             this.showStatus(progress.message, true);
           }
         });
-        this.transcriber = (audioData) => this.desktopTranscriber.transcribe(audioData);
+        this.transcriber = (audioData, options) => this.desktopTranscriber.transcribe(audioData, options);
         this.isModelLoading = false;
         log('Desktop transcriber ready');
         this.showStatus('Model ready', 2000);
@@ -184,7 +440,7 @@ class WhisperTranscriptionPlugin extends Plugin {
         this.showStatus(`Downloading model: ${this.settings.modelId}. This only happens once.`, true);
         log('Downloading model (online required)');
       }
-      this.transcriber = await pipeline(
+      const asr = await pipeline(
         'automatic-speech-recognition',
         this.settings.modelId,
         {
@@ -204,6 +460,52 @@ class WhisperTranscriptionPlugin extends Plugin {
           },
         }
       );
+      // The pipeline doesn't ask the tokenizer to label chunks with the
+      // language Whisper detected, so that is turned on here.  This relies on
+      // a private method, so without it there is just no detected language.
+      if (typeof asr.tokenizer._decode_asr === 'function') {
+        const decodeAsr = asr.tokenizer._decode_asr.bind(asr.tokenizer);
+        asr.tokenizer._decode_asr = (sequences, options) => decodeAsr(sequences, Object.assign({}, options, { return_language: true }));
+      } else {
+        log('Tokenizer has no _decode_asr, detected languages will not be shown');
+      }
+      this.transcriber = async (audioData, options = {}) => {
+        const kwargs = { return_timestamps: true, num_beams: this.settings.numBeams };
+        // The pipeline's own chunking, for audio longer than Whisper's window
+        if (this.settings.chunkLengthS) {
+          kwargs.chunk_length_s = this.settings.chunkLengthS;
+          // The stride is taken from both sides of each chunk, so at half the
+          // chunk length or more the pipeline would never move forward
+          if (this.settings.strideLengthS && 2 * this.settings.strideLengthS < this.settings.chunkLengthS) {
+            kwargs.stride_length_s = this.settings.strideLengthS;
+          } else if (this.settings.strideLengthS) {
+            log(`Ignoring a ${this.settings.strideLengthS}s stride, it must be under half the ${this.settings.chunkLengthS}s chunk length`);
+          }
+        }
+        const task = options.translate ? 'translate' : 'transcribe';
+        let prompt = null;
+        // Without a language the task can't be forced after the prompt, since
+        // Whisper predicts the language token between them
+        if (options.prompt && (options.language || !options.translate)) {
+          prompt = buildDecoderInputIds(asr.tokenizer, options.prompt, options.language, task);
+          kwargs.decoder_input_ids = prompt.ids;
+        } else {
+          if (options.prompt) {
+            log('Skipping prompt, translating without a language set');
+          }
+          if (options.language) {
+            kwargs.language = options.language;
+          }
+          if (options.language || options.translate) {
+            kwargs.task = task;
+          }
+        }
+        let output = await asr(audioData, kwargs);
+        if (prompt) {
+          output = stripPrompt(output, prompt.text);
+        }
+        return normalizePipelineOutput(output, audioData.length / TARGET_SAMPLE_RATE);
+      };
       this.isModelLoading = false;
       log('Model loaded successfully');
       this.showStatus('Model ready', true);
@@ -221,7 +523,7 @@ class WhisperTranscriptionPlugin extends Plugin {
     }
   }
 
-  async toggleRecording(state) {
+  async toggleRecording(state, destination) {
     if (state === true) {
       log('Start recording, current state: ' + this.isRecording);
     } else if (state === false) {
@@ -235,26 +537,34 @@ class WhisperTranscriptionPlugin extends Plugin {
       }
     } else {
       if (state !== false) {
-        await this.startRecording();
+        await this.startRecording(destination);
       }
     }
   }
 
-  async startRecording() {
+  async startRecording(destination = this.settings.destination) {
     if (this.isRecording) {
       log('Already recording, ignoring start');
       return;
     }
-    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (!view) {
-      log('No active markdown view');
-      new Notice('Open a note first');
+    let target;
+    try {
+      target = await this.openDestination(destination);
+    } catch (error) {
+      log('Opening destination FAILED', error);
+      new Notice('Could not open the transcript note: ' + error.message);
+      return;
+    }
+    if (!target) {
       return;
     }
-    this.targetEditor = view.editor;
-    log('Target editor set');
+    this.clearProvisional();
+    this.anchor = target.anchor;
+    this.notePrompt = this.getNotePrompt(target.file);
+    log('Insertion anchor set', { destination, path: this.anchor.path, offset: this.anchor.offset });
     if (!(await this.loadModel())) {
       log('Model not available, cannot start');
+      await this.discardDestination(target);
       return;
     }
     try {
@@ -272,231 +582,1102 @@ class WhisperTranscriptionPlugin extends Plugin {
         trackCount: tracks.length,
         trackSettings: tracks[0] ? tracks[0].getSettings() : null,
       });
+      this.vad = this.settings.chunkMode === 'vad' ? new VoiceActivityDetector() : null;
+      this.capture = new AudioCapture(this.mediaStream, (samples) => this.handleFrame(samples));
+      await this.capture.start();
+      this.session = { audioPath: null, segments: [] };
+      if (target.lead) {
+        this.insertAtAnchor(target.lead);
+      }
+      this.anchor.linePrefix = target.linePrefix || '';
+      await this.startSessionRecording(target.file.path);
       await this.acquireWakeLock();
 	  setIcon(this.ribbonIcon, 'mic');
       this.isRecording = true;
       this.chunkNumber = 0;
+      this.chunkStart = 0;
       this.nextInsertChunk = 1;
       this.pendingResults = new Map();
+      this.stitchState = { lastText: '', lastEnd: null };
+      this.lastInsertion = null;
+      this.detectedLanguage = null;
+      this.liveSamples = 0;
       this.showStatus('Recording started', 2000);
-      this.recordChunk();
     } catch (error) {
+      this.releaseCapture();
       log('Microphone access FAILED', error);
       new Notice('Microphone access failed: ' + error.message);
+      await this.discardDestination(target);
+    }
+  }
+
+  // Find the note and position a recording's transcript goes to, creating
+  // the note if needed.  The lead is inserted before the transcript once
+  // recording has started.
+  async openDestination(destination) {
+    if (destination === 'cursor') {
+      const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+      if (!view || !view.file) {
+        log('No active markdown view');
+        new Notice('Open a note first');
+        return null;
+      }
+      return { file: view.file, anchor: new InsertionAnchor(view.file.path, view.editor.posToOffset(view.editor.getCursor())) };
+    }
+    let file;
+    let created = false;
+    let lead = '';
+    let linePrefix = '';
+    if (destination === 'end') {
+      file = this.app.workspace.getActiveFile();
+      if (!file || file.extension !== 'md') {
+        log('No active note');
+        new Notice('Open a note first');
+        return null;
+      }
+      lead = TRANSCRIPT_CALLOUT + '\n> ';
+      linePrefix = '> ';
+    } else if (destination === 'daily') {
+      file = await this.getDailyNote();
+    } else {
+      file = await this.createTranscriptNote();
+      created = true;
+      await this.app.workspace.getLeaf(true).openFile(file);
+    }
+    const content = await this.readNote(file);
+    let offset = content.trimEnd().length;
+    const heading = this.settings.dailyNoteHeading.trim();
+    if (destination === 'daily' && heading) {
+      const sectionEnd = findSectionEnd(content, heading);
+      if (sectionEnd >= 0) {
+        offset = sectionEnd;
+      } else {
+        lead = heading + '\n\n';
+      }
     }
+    if (offset > 0) {
+      lead = '\n\n' + lead;
+    }
+    return { file, anchor: new InsertionAnchor(file.path, offset), lead, linePrefix, created, content };
   }
 
-  recordChunk() {
-    if (!this.isRecording || !this.mediaStream) {
-      log('Not recording or no stream, skipping chunk');
+  // A note created for a recording that never started is moved to the trash
+  // again, unless it has been edited in the meantime
+  async discardDestination(target) {
+    if (!target.created || (await this.readNote(target.file)) !== target.content) {
       return;
     }
-    this.chunkNumber++;
-    const chunkNum = this.chunkNumber;
-    log(`Starting chunk #${chunkNum}`);
+    log(`Removing unused transcript note ${target.file.path}`);
+    try {
+      await this.app.vault.trash(target.file, true);
+      this.anchor = null;
+    } catch (error) {
+      log('Removing transcript note FAILED', error);
+    }
+  }
+
+  async readNote(file) {
+    const editor = this.findEditor(file.path);
+    return editor ? editor.getValue() : await this.app.vault.read(file);
+  }
+
+  // Uses the folder, date format and template of the core Daily notes plugin
+  async getDailyNote() {
+    const dailyNotes = this.app.internalPlugins && this.app.internalPlugins.getPluginById('daily-notes');
+    const options = (dailyNotes && dailyNotes.enabled && dailyNotes.instance && dailyNotes.instance.options) || {};
+    const path = normalizePath(`${options.folder || ''}/${moment().format(options.format || 'YYYY-MM-DD')}.md`);
+    const existing = this.app.vault.getAbstractFileByPath(path);
+    if (existing instanceof TFile) {
+      return existing;
+    }
+    log(`Creating daily note ${path}`);
+    return this.createNote(path, options.template);
+  }
 
-    let mimeType = 'audio/webm;codecs=opus';
-    if (!MediaRecorder.isTypeSupported(mimeType)) {
-      mimeType = 'audio/webm';
+  async createTranscriptNote() {
+    const folder = this.settings.newNoteFolder.trim();
+    const name = `Transcript ${moment().format('YYYY-MM-DD HHmmss')}`;
+    let notePath = normalizePath(`${folder}/${name}.md`);
+    for (let index = 1; this.app.vault.getAbstractFileByPath(notePath); index++) {
+      notePath = normalizePath(`${folder}/${name} ${index}.md`);
     }
-    if (!MediaRecorder.isTypeSupported(mimeType)) {
-      mimeType = 'audio/mp4';
+    log(`Creating transcript note ${notePath}`);
+    return this.createNote(notePath, this.settings.newNoteTemplate.trim());
+  }
+
+  async createNote(notePath, templatePath) {
+    const folder = notePath.split('/').slice(0, -1).join('/');
+    if (folder && !this.app.vault.getAbstractFileByPath(folder)) {
+      await this.app.vault.createFolder(folder);
     }
-    if (!MediaRecorder.isTypeSupported(mimeType)) {
-      mimeType = '';
+    const title = notePath.split('/').pop().replace(/\.md$/, '');
+    const content = templatePath ? await this.readTemplate(templatePath, title) : '';
+    return this.app.vault.create(notePath, content);
+  }
+
+  // Fills in {{title}}, {{date}} and {{time}}, with an optional moment.js
+  // format such as {{date:dddd D MMMM}}, like the core Templates plugin.
+  async readTemplate(templatePath, title) {
+    const file = this.app.metadataCache.getFirstLinkpathDest(templatePath.replace(/\.md$/, ''), '');
+    if (!file) {
+      log(`Template ${templatePath} not found`);
+      new Notice(`Template ${templatePath} not found`);
+      return '';
     }
-    log(`Using MIME type: "${mimeType || 'default'}"`);
+    const content = await this.app.vault.read(file);
+    const now = moment();
+    return content.replace(/{{\s*(title|date|time)(?::([^}]+?))?\s*}}/g, (match, name, format) => {
+      if (name === 'title') {
+        return title;
+      }
+      return now.format(format || (name === 'date' ? 'YYYY-MM-DD' : 'HH:mm'));
+    });
+  }
 
+  async startSessionRecording(sourcePath) {
+    if (!this.settings.saveRecordings) {
+      return;
+    }
+    const mimeType = getRecorderMimeType();
+    const extension = mimeType.startsWith('audio/mp4') ? 'm4a' : 'webm';
+    const name = `Recording ${moment().format('YYYYMMDDHHmmss')}.${extension}`;
+    const audioPath = await this.app.fileManager.getAvailablePathForAttachment(name, sourcePath);
+    this.session.audioPath = audioPath;
     const recorder = new MediaRecorder(this.mediaStream, mimeType ? { mimeType } : {});
-    this.currentRecorder = recorder;
-    const audioChunks = [];
+    const blobs = [];
     recorder.ondataavailable = (event) => {
-      log(`Chunk #${chunkNum} data available`, {
-        size: event.data ? event.data.size : 0,
-      });
       if (event.data && event.data.size > 0) {
-        audioChunks.push(event.data);
+        blobs.push(event.data);
       }
     };
     recorder.onstop = () => {
-      log(`Chunk #${chunkNum} recorder stopped`, {
-        chunksCollected: audioChunks.length,
-        totalSize: audioChunks.reduce((sum, c) => sum + c.size, 0),
-      });
-      if (audioChunks.length > 0) {
-        const audioBlob = new Blob(audioChunks, { type: recorder.mimeType });
-        log(`Chunk #${chunkNum} blob created`, {
-          type: audioBlob.type,
-          size: audioBlob.size,
-        });
-        this.transcribeAudio(audioBlob, chunkNum);
-      } else {
-        log(`Chunk #${chunkNum} NO AUDIO DATA`);
+      this.saveSessionAudio(audioPath, new Blob(blobs, { type: recorder.mimeType }));
+    };
+    recorder.onerror = (event) => {
+      log('Session recorder ERROR', event.error);
+    };
+    recorder.start();
+    this.sessionRecorder = recorder;
+    log(`Recording session audio to ${audioPath}`, { mimeType: recorder.mimeType });
+    // The transcript starts with the recording and the model that produced it
+    this.insertAtAnchor(`![[${audioPath}]]\n%%whisper model: ${this.getModelName()}%%\n`, true);
+  }
+
+  async saveSessionAudio(audioPath, blob) {
+    if (!blob.size) {
+      log('Session recorder produced no audio');
+      return;
+    }
+    try {
+      const folder = audioPath.includes('/') ? audioPath.slice(0, audioPath.lastIndexOf('/')) : '';
+      if (folder && !this.app.vault.getAbstractFileByPath(folder)) {
+        await this.app.vault.createFolder(folder);
       }
-      if (this.isStopping) {
-        this.isStopping = false;
-        if (this.mediaStream) {
-          this.mediaStream.getTracks().forEach((track) => track.stop());
-          this.mediaStream = null;
+      await this.app.vault.createBinary(audioPath, await blob.arrayBuffer());
+      log(`Session audio saved to ${audioPath}`, { size: blob.size });
+    } catch (error) {
+      log('Saving session audio FAILED', error);
+      new Notice('Failed to save recording: ' + error.message);
+    }
+  }
+
+  handleFrame(samples) {
+    if (!this.isRecording) {
+      return;
+    }
+    if (this.vad) {
+      this.vad.process(samples, (samples.length / TARGET_SAMPLE_RATE) * 1000);
+    }
+    const elapsedMs = ((this.capture.written - this.chunkStart) / TARGET_SAMPLE_RATE) * 1000;
+    if (elapsedMs >= this.settings.chunkDurationMs) {
+      log(`Chunk #${this.chunkNumber + 1} ending after ${Math.round(elapsedMs)}ms`);
+      this.endChunk();
+    } else if (this.vad && elapsedMs >= this.settings.vadMinChunkMs && this.vad.hasSpeech() && this.vad.silenceMs >= this.settings.vadSilenceMs) {
+      log(`Chunk #${this.chunkNumber + 1} ending at pause after ${Math.round(elapsedMs)}ms`);
+      this.endChunk();
+    } else if (this.settings.liveText) {
+      this.transcribeLive();
+    }
+  }
+
+  // Transcribe the chunk recorded so far to show as provisional text.  Only
+  // one runs at a time, and none while a finished chunk is being transcribed
+  // so that live text never delays the final transcript.
+  transcribeLive() {
+    const recorded = this.capture.written - this.chunkStart;
+    const intervalSamples = (this.settings.liveIntervalMs / 1000) * TARGET_SAMPLE_RATE;
+    if (this.liveJob || this.queue.size > 0 || !this.transcriber || recorded < TARGET_SAMPLE_RATE || this.capture.written - this.liveSamples < intervalSamples) {
+      return;
+    }
+    if (this.vad && !this.vad.hasSpeech()) {
+      return;
+    }
+    const chunkNum = this.chunkNumber + 1;
+    this.liveSamples = this.capture.written;
+    const audioData = this.capture.read(this.chunkStart, this.capture.written);
+    const prompt = this.buildPrompt(this.notePrompt, this.stitchState.lastText);
+    this.liveController = new AbortController();
+    this.liveJob = this.runTranscriber(audioData, `Live chunk #${chunkNum}`, prompt, this.liveController.signal)
+      .then((result) => {
+        // The final transcript may have been inserted in the meantime
+        if (chunkNum >= this.nextInsertChunk) {
+          this.provisional.set(chunkNum, this.previewText(result));
+          this.renderProvisional();
         }
-        // this.targetEditor = null;
-        new Notice('Recording stopped');
-        log('Recording stopped');
-      } else if (this.isRecording && this.mediaStream) {
-        this.recordChunk();
+      })
+      .catch((error) => log(`Live chunk #${chunkNum} transcription FAILED`, error))
+      .finally(() => {
+        this.liveJob = null;
+        this.liveController = null;
+      });
+  }
+
+  previewText(result) {
+    const filtered = filterSegments(result.segments, parseFilters(this.settings.hallucinationFilters), {
+      keepSoundTags: this.settings.keepSoundTags,
+      removeRepeats: this.settings.removeRepeats,
+    });
+    return applyReplacements(filtered.segments.map((segment) => segment.text).join(' '), compileReplacements(this.settings.replacements));
+  }
+
+  // Provisional text is shown at the anchor in every editor showing the note,
+  // or in the status notice when the note isn't open
+  renderProvisional() {
+    if (!this.anchor) {
+      return;
+    }
+    const text = [...this.provisional.values()].filter((part) => part).join(' ');
+    const views = this.getMarkdownViews(this.anchor.path);
+    views.forEach((view) => showProvisional(view.editor.cm, this.anchor.offset, text));
+    if (!views.length && text) {
+      this.showStatus(text, true);
+    }
+  }
+
+  clearProvisional() {
+    this.provisional.clear();
+    this.renderProvisional();
+  }
+
+  endChunk() {
+    const end = this.capture.written;
+    if (end <= this.chunkStart) {
+      return;
+    }
+    this.chunkNumber++;
+    const chunkNum = this.chunkNumber;
+    // Later chunks start early so that words at the seam are heard in full
+    const start = Math.max(0, this.chunkStart - Math.round((this.settings.overlapMs / 1000) * TARGET_SAMPLE_RATE));
+    const chunkInfo = {
+      offset: start / TARGET_SAMPLE_RATE,
+      overlapMs: ((this.chunkStart - start) / TARGET_SAMPLE_RATE) * 1000,
+    };
+    const audioData = this.capture.read(start, end);
+    this.chunkStart = end;
+    if (this.vad && !this.vad.hasSpeech()) {
+      log(`Chunk #${chunkNum} no speech detected, skipping transcription`);
+      this.pendingResults.set(chunkNum, Object.assign({ text: '', segments: [] }, chunkInfo));
+      this.flushPendingResults();
+    } else {
+      log(`Chunk #${chunkNum} captured ${audioData.length} samples, ${chunkInfo.overlapMs}ms overlap`);
+      this.transcribeAudio(audioData, chunkNum, chunkInfo);
+    }
+    if (this.vad) {
+      this.vad.resetChunk();
+    }
+  }
+
+  transcribeAudio(audioData, chunkNum, chunkInfo) {
+    // An empty result still lets the chunks after it be inserted
+    if (!this.transcriber) {
+      log(`Chunk #${chunkNum} no transcriber available`);
+      this.pendingResults.set(chunkNum, Object.assign({ text: '', segments: [] }, chunkInfo));
+      this.flushPendingResults();
+      return;
+    }
+    if (!this.anchor) {
+      log(`Chunk #${chunkNum} no insertion anchor`);
+      this.pendingResults.set(chunkNum, Object.assign({ text: '', segments: [] }, chunkInfo));
+      this.flushPendingResults();
+      return;
+    }
+    if (this.joinWaitingChunk(audioData, chunkNum, chunkInfo)) {
+      return;
+    }
+    this.queue.concurrency = this.settings.maxConcurrentJobs;
+    this.queue.timeoutMs = this.settings.jobTimeoutMs;
+    const job = { label: `Chunk #${chunkNum}`, chunks: [chunkNum], audioData, chunkInfo };
+    job.run = async (signal) => {
+      // The engine isn't shared with live transcription
+      if (this.liveJob) {
+        await this.liveJob;
       }
+      const prompt = this.buildPrompt(this.notePrompt, this.stitchState.lastText);
+      return this.runTranscriber(job.audioData, job.label, prompt, signal);
     };
+    log(`Chunk #${chunkNum} queued for transcription`);
+    this.queue
+      .add(job)
+      .then((result) => this.finishJob(job, result))
+      .catch((error) => {
+        if (error.cancelled) {
+          log(`${job.label} cancelled`);
+          return;
+        }
+        log(`${job.label} transcription FAILED`, error);
+        new Notice('Transcription error: ' + error.message);
+        // An empty result lets the chunks after it be inserted
+        this.finishJob(job, { text: '', segments: [] });
+      });
+  }
 
-    recorder.onerror = (event) => {
-      log(`Chunk #${chunkNum} recorder ERROR`, event.error);
+  // Backpressure: once the queue is full, a new chunk is added to the end of
+  // the last chunk still waiting, so a slow engine gets fewer, longer jobs
+  // instead of a backlog that keeps growing.
+  joinWaitingChunk(audioData, chunkNum, chunkInfo) {
+    const last = this.queue.lastPending();
+    if (!last || !last.chunkInfo || this.queue.pending.length < this.settings.maxQueuedJobs) {
+      return false;
+    }
+    // The chunk overlaps the end of the waiting one
+    const overlap = Math.round((chunkInfo.overlapMs / 1000) * TARGET_SAMPLE_RATE);
+    const lastEnd = Math.round(last.chunkInfo.offset * TARGET_SAMPLE_RATE) + last.audioData.length;
+    const length = last.audioData.length + audioData.length - overlap;
+    if (lastEnd !== Math.round(chunkInfo.offset * TARGET_SAMPLE_RATE) + overlap || length > MAX_JOB_SECONDS * TARGET_SAMPLE_RATE) {
+      return false;
+    }
+    const joined = new Float32Array(length);
+    joined.set(last.audioData);
+    joined.set(audioData.subarray(overlap), last.audioData.length);
+    last.audioData = joined;
+    last.chunks.push(chunkNum);
+    last.label = `Chunks #${last.chunks[0]}-${chunkNum}`;
+    log(`Chunk #${chunkNum} joined to the waiting chunk #${last.chunks[0]}, queue is full`);
+    this.showBacklog();
+    return true;
+  }
+
+  finishJob(job, result) {
+    this.pendingResults.set(job.chunks[0], Object.assign(result, job.chunkInfo));
+    job.chunks.slice(1).forEach((chunkNum) => this.pendingResults.set(chunkNum, { joined: true }));
+    this.flushPendingResults();
+  }
+
+  // Show how many chunks are still to be transcribed, so it is clear when
+  // transcription is falling behind
+  showBacklog() {
+    const jobs = [...this.queue.running, ...this.queue.pending];
+    const backlog = jobs.reduce((count, job) => count + job.chunks.length, 0);
+    if (backlog === this.backlog) {
+      return;
+    }
+    this.backlog = backlog;
+    log(`Transcription backlog: ${backlog} chunk(s), ${this.queue.running.size} running`);
+    if (backlog > 0) {
+      const waiting = backlog - 1;
+      this.showStatus(waiting ? `Processing speech, ${waiting} more chunk${waiting === 1 ? '' : 's'} waiting` : 'Processing speech');
+      this.backlogNotice = this.statusNotice;
+    } else if (this.isRecording) {
+      this.showStatus('Listening', 2000);
+    } else if (this.statusNotice && this.statusNotice === this.backlogNotice) {
+      this.statusNotice.hide();
+      this.statusNotice = null;
+    }
+  }
+
+  // Stop recording and drop every chunk not yet inserted, killing the
+  // whisper.cpp processes working on them
+  cancelTranscription() {
+    const backlog = this.backlog;
+    const transcribingFile = this.isTranscribingFile;
+    this.stopRecording();
+    this.queue.cancelAll();
+    if (this.liveController) {
+      this.liveController.abort();
+    }
+    this.pendingResults.clear();
+    this.clearProvisional();
+    log(`Transcription cancelled, ${backlog} chunk(s) discarded`);
+    if (backlog) {
+      new Notice(`Transcription cancelled, ${backlog} chunk${backlog === 1 ? '' : 's'} discarded`);
+    } else {
+      new Notice(transcribingFile ? 'Transcription cancelled' : 'Nothing to cancel');
+    }
+  }
+
+  getNotePrompt(file) {
+    const prompts = [this.settings.initialPrompt.trim()];
+    const cache = file ? this.app.metadataCache.getFileCache(file) : null;
+    const value = cache && cache.frontmatter ? cache.frontmatter[PROMPT_PROPERTY] : null;
+    if (value) {
+      prompts.push(Array.isArray(value) ? value.join(', ') : String(value));
+    }
+    return prompts.filter((prompt) => prompt).join(' ');
+  }
+
+  // The most recent transcript comes last, since Whisper weighs the end of
+  // the prompt most heavily.
+  buildPrompt(notePrompt, previousText) {
+    const parts = [notePrompt];
+    if (this.settings.carryContext && previousText) {
+      parts.push(splitWords(previousText).slice(-CONTEXT_WORDS).join(' '));
+    }
+    return parts.filter((part) => part).join(' ');
+  }
+
+  // On desktop, a custom model file replaces the chosen model
+  getModelName() {
+    return !isMobilePlatform && this.settings.customModel ? this.settings.customModel.trim().split(/[\\/]/).pop() : this.settings.modelId;
+  }
+
+  // English-only models can't be told a language or task, and both engines
+  // leave them transcribing English.
+  getLanguageOptions() {
+    if (isEnglishOnlyModel(this.getModelName())) {
+      return {};
+    }
+    return {
+      language: this.settings.language === 'auto' ? null : this.settings.language,
+      translate: this.settings.translate,
     };
+  }
 
-    recorder.start();
-    log(`Chunk #${chunkNum} recorder started, state: ${recorder.state}`);
+  async runTranscriber(audioData, label, prompt, signal) {
+    // Clamp audio to valid range [-1, 1]
+    for (let i = 0; i < audioData.length; i++) {
+      if (audioData[i] > 1) audioData[i] = 1;
+      if (audioData[i] < -1) audioData[i] = -1;
+    }
+    log(`${label} audio ready: ${audioData.length} samples (${(audioData.length / TARGET_SAMPLE_RATE).toFixed(2)}s)`);
+    log(`${label} calling transcriber`, prompt ? { prompt } : undefined);
+    const startTime = Date.now();
+    const result = await this.transcriber(audioData, Object.assign({ prompt, signal }, this.getLanguageOptions()));
+    const elapsed = Date.now() - startTime;
+    log(`${label} transcription complete in ${elapsed}ms`, result);
+    const text = result.text.trim();
+    log(`${label} extracted text: "${text}"`);
+    if (text && result.language && this.settings.language === 'auto' && !isEnglishOnlyModel(this.getModelName()) && result.language !== this.detectedLanguage) {
+      this.detectedLanguage = result.language;
+      this.showStatus(`Detected language: ${languageName(result.language)}`, 3000);
+    }
+    return { text, language: result.language, segments: result.segments.filter((segment) => segment.text) };
+  }
 
-    setTimeout(() => {
-      if (recorder.state === 'recording') {
-        log(`Chunk #${chunkNum} stopping after timeout`);
-        recorder.stop();
-      } else {
-        log(`Chunk #${chunkNum} not recording at timeout, state: ${recorder.state}`);
+  // Turn a chunk's transcription into session-relative segments, removing
+  // hallucinations and the words repeated from the previous chunk's overlap.
+  stitchResult(result, state) {
+    const filtered = filterSegments(result.segments, parseFilters(this.settings.hallucinationFilters), {
+      keepSoundTags: this.settings.keepSoundTags,
+      removeRepeats: this.settings.removeRepeats,
+    });
+    if (filtered.dropped.length) {
+      log('Dropped likely hallucinations', filtered.dropped);
+    }
+    const chunkText = filtered.segments.map((segment) => segment.text).join(' ');
+    if (!chunkText) {
+      state.lastText = '';
+      return null;
+    }
+    let text = chunkText;
+    let segments = filtered.segments.map((segment) => Object.assign({}, segment, { start: segment.start + result.offset, end: segment.end + result.offset }));
+    if (result.overlapMs && state.lastText) {
+      const maxWords = Math.ceil((result.overlapMs / 1000) * WORDS_PER_SECOND) + 1;
+      text = mergeOverlap(state.lastText, chunkText, maxWords);
+      const dropped = splitWords(chunkText).length - splitWords(text).length;
+      if (dropped) {
+        log(`Removed ${dropped} words repeated from the previous chunk`, { before: chunkText, after: text });
+        segments = dropLeadingWords(segments, dropped);
       }
-    }, this.settings.chunkDurationMs);
+    }
+    state.lastText = chunkText;
+    if (!text) {
+      return null;
+    }
+    // Silence before this chunk's speech, since the end of the previous speech
+    const gap = state.lastEnd !== null && segments.length ? segments[0].start - state.lastEnd : null;
+    if (segments.length) {
+      state.lastEnd = segments[segments.length - 1].end;
+    }
+    const replacements = compileReplacements(this.settings.replacements);
+    if (replacements.length) {
+      text = applyReplacements(text, replacements);
+      segments = segments.map((segment) => Object.assign({}, segment, { text: applyReplacements(segment.text, replacements) }));
+    }
+    return { text, segments, gap };
   }
 
-  resampleAudio(audioData, fromSampleRate, toSampleRate) {
-    const ratio = fromSampleRate / toSampleRate;
-    const newLength = Math.round(audioData.length / ratio);
-    const result = new Float32Array(newLength);
-    for (let i = 0; i < newLength; i++) {
-      result[i] = audioData[Math.floor(i * ratio)];
+  markTranscript(text, stitched) {
+    if (!this.settings.highlightLowConfidence) {
+      return text;
     }
-    return result;
+    const tokens = stitched.segments.flatMap((segment) => segment.tokens || []);
+    return markLowConfidence(text, tokens, this.settings.lowConfidenceThreshold, this.settings.lowConfidenceFormat);
   }
 
-  async transcribeAudio(audioBlob, chunkNum) {
-    if (!this.transcriber) {
-      log(`Chunk #${chunkNum} no transcriber available`);
+  // Strips the markers from the selection, or else from the text the last
+  // session inserted into this note.  Markers made only of punctuation, like
+  // the default ==highlight==, can't be told apart from the user's own
+  // formatting, so other text is only stripped when it is selected.
+  stripLowConfidenceMarkers(editor, view) {
+    const format = this.settings.lowConfidenceFormat;
+    const anchor = this.anchor;
+    let ranges;
+    if (editor.somethingSelected()) {
+      ranges = [{ from: editor.posToOffset(editor.getCursor('from')), to: editor.posToOffset(editor.getCursor('to')) }];
+    } else if (anchor && view.file && anchor.path === view.file.path && anchor.ranges.length) {
+      ranges = anchor.ranges;
+    } else if (!/[\p{L}\p{N}]/u.test(format.replace('{word}', ''))) {
+      new Notice('Select the text to remove low-confidence markers from');
       return;
+    } else {
+      ranges = [{ from: 0, to: editor.getValue().length }];
     }
-    if (!this.targetEditor) {
-      log(`Chunk #${chunkNum} no target editor`);
+    // Deleting only the markers leaves the session's text ranges intact
+    const text = editor.getValue();
+    const changes = ranges.flatMap((range) => findLowConfidenceMarkers(text.slice(range.from, range.to), format).map((span) => ({ from: editor.offsetToPos(range.from + span.from), to: editor.offsetToPos(range.from + span.to), text: '' })));
+    if (!changes.length) {
+      new Notice('No low-confidence markers found');
       return;
     }
-    this.processingCount++;
-    log(`Chunk #${chunkNum} starting transcription, queue size: ${this.processingCount}`);
-    if (this.processingCount === 1 && this.isRecording) {
-      this.showStatus('Processing speech');
+    editor.transaction({ changes });
+    new Notice(`Removed ${changes.length / 2} low-confidence markers`);
+  }
+
+  formatTranscript(stitched) {
+    return this.settings.timestamps ? formatTimestamped(stitched.segments) : joinSegments(stitched.segments, this.settings.paragraphPauseMs / 1000);
+  }
+
+  async decodeAudioFile(file) {
+    const arrayBuffer = await this.app.vault.readBinary(file);
+    log(`Decoding ${file.path}, ${arrayBuffer.byteLength} bytes`);
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    let audioContext;
+    try {
+      // Decoding at 16 kHz avoids holding long files at the full sample rate
+      audioContext = new AudioContextClass({ sampleRate: TARGET_SAMPLE_RATE });
+    } catch (error) {
+      audioContext = new AudioContextClass();
     }
     try {
-      log(`Chunk #${chunkNum} converting blob to arrayBuffer`);
-      const arrayBuffer = await audioBlob.arrayBuffer();
-      log(`Chunk #${chunkNum} arrayBuffer size: ${arrayBuffer.byteLength}`);
-
-      log(`Chunk #${chunkNum} decoding audio`);
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
       const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
-      log(`Chunk #${chunkNum} decoded`, {
+      log(`Decoded ${file.path}`, {
         sampleRate: audioBuffer.sampleRate,
         duration: audioBuffer.duration,
         channels: audioBuffer.numberOfChannels,
       });
       let audioData = audioBuffer.getChannelData(0);
-      const targetSampleRate = 16000;
-      if (audioBuffer.sampleRate !== targetSampleRate) {
-        log(`Chunk #${chunkNum} resampling from ${audioBuffer.sampleRate} to ${targetSampleRate}`);
-        audioData = this.resampleAudio(audioData, audioBuffer.sampleRate, targetSampleRate);
-      }
-      // Clamp audio to valid range [-1, 1]
-      for (let i = 0; i < audioData.length; i++) {
-        if (audioData[i] > 1) audioData[i] = 1;
-        if (audioData[i] < -1) audioData[i] = -1;
-      }
-      log(`Chunk #${chunkNum} audio ready: ${audioData.length} samples (${(audioData.length / 16000).toFixed(2)}s)`);
-      log(`Chunk #${chunkNum} calling transcriber`);
-      const startTime = Date.now();
-      const result = await this.transcriber(audioData);
-      const elapsed = Date.now() - startTime;
-      log(`Chunk #${chunkNum} transcription complete in ${elapsed}ms`, result);
-      const text = result.text ? result.text.trim() : '';
-      log(`Chunk #${chunkNum} extracted text: "${text}"`);
-      this.pendingResults.set(chunkNum, text);
-      this.flushPendingResults();
-    } catch (error) {
-      log(`Chunk #${chunkNum} transcription FAILED`, error);
-      new Notice('Transcription error: ' + error.message);
-    } finally {
-      this.processingCount--;
-      log(`Chunk #${chunkNum} done, remaining in queue: ${this.processingCount}`);
-      if (this.processingCount === 0 && this.isRecording) {
-        this.showStatus('Listening', 2000);
+      if (audioBuffer.sampleRate !== TARGET_SAMPLE_RATE) {
+        log(`Resampling from ${audioBuffer.sampleRate} to ${TARGET_SAMPLE_RATE}`);
+        audioData = resampleAudio(audioData, audioBuffer.sampleRate, TARGET_SAMPLE_RATE);
       }
+      return audioData;
+    } finally {
+      audioContext.close();
     }
   }
 
-  flushPendingResults() {
-    while (this.pendingResults.has(this.nextInsertChunk)) {
-      const chunkNum = this.nextInsertChunk;
-      const text = this.pendingResults.get(chunkNum);
-      this.pendingResults.delete(chunkNum);
-      if (text && text.length > 0 && text !== 'you' && !(text.startsWith('[') && text.endsWith(']')) && !(text.startsWith('(')  && text.endsWith(')'))) {
-        if (this.targetEditor) {
-          const cursor = this.targetEditor.getCursor();
-          log(`Chunk #${chunkNum} inserting at cursor`, cursor);
-          const insertText = text + ' ';
-          this.targetEditor.replaceRange(insertText, cursor);
-          const newPos = {
-            line: cursor.line,
-            ch: cursor.ch + insertText.length,
-          };
-          this.targetEditor.setCursor(newPos);
-          log(`Chunk #${chunkNum} text inserted successfully`);
+  async transcribeFile(file, notePrompt) {
+    const audioData = await this.decodeAudioFile(file);
+    const chunkSamples = Math.round((FILE_CHUNK_MS / 1000) * TARGET_SAMPLE_RATE);
+    const overlapSamples = Math.round((this.settings.overlapMs / 1000) * TARGET_SAMPLE_RATE);
+    let text = '';
+    const segments = [];
+    const state = { lastText: '', lastEnd: null };
+    this.detectedLanguage = null;
+    for (let start = 0, part = 1; start < audioData.length; start += chunkSamples, part++) {
+      const pct = Math.round((start / audioData.length) * 100);
+      this.showStatus(`Transcribing ${file.name}: ${pct}%`, true);
+      const chunkStart = Math.max(0, start - overlapSamples);
+      // Copy so clamping doesn't alter the decoded audio used by the overlap
+      const chunk = audioData.slice(chunkStart, start + chunkSamples);
+      // Queued like recorded chunks, so the concurrency and timeout settings
+      // apply and cancelling or unloading stops it.  File parts aren't
+      // recording chunks, so they have none to join or count in the backlog.
+      const prompt = this.buildPrompt(notePrompt, state.lastText);
+      const job = { label: `${file.name} part ${part}`, chunks: [] };
+      job.run = (signal) => this.runTranscriber(chunk, job.label, prompt, signal);
+      this.queue.concurrency = this.settings.maxConcurrentJobs;
+      this.queue.timeoutMs = this.settings.jobTimeoutMs;
+      const result = await this.queue.add(job);
+      result.offset = chunkStart / TARGET_SAMPLE_RATE;
+      result.overlapMs = ((start - chunkStart) / TARGET_SAMPLE_RATE) * 1000;
+      const stitched = this.stitchResult(result, state);
+      if (stitched) {
+        const partText = this.markTranscript(this.formatTranscript(stitched), stitched);
+        if (this.settings.timestamps) {
+          text += (text ? '\n' : '') + partText;
         } else {
-          log(`Chunk #${chunkNum} targetEditor became null`);
+          const seam = joinSeam(text, partText, stitched.gap, this.settings.paragraphPauseMs / 1000);
+          text = seam.previous + seam.separator + seam.text;
         }
+        segments.push(...stitched.segments);
+      }
+    }
+    if (!this.isRecording) {
+      this.session = { audioPath: file.path, segments };
+    }
+    return text;
+  }
+
+  async exportSubtitles() {
+    const session = this.session;
+    if (!session || !session.audioPath || !this.app.vault.getAbstractFileByPath(session.audioPath)) {
+      new Notice('No saved recording to export subtitles for');
+      return;
+    }
+    if (this.isRecording || this.queue.size > 0 || this.pendingResults.size > 0) {
+      new Notice('Transcription is still in progress');
+      return;
+    }
+    const basePath = session.audioPath.replace(/\.[^./]+$/, '');
+    for (const [extension, format] of [['srt', formatSrt], ['vtt', formatVtt]]) {
+      const subtitlePath = `${basePath}.${extension}`;
+      const existing = this.app.vault.getAbstractFileByPath(subtitlePath);
+      if (existing instanceof TFile) {
+        await this.app.vault.modify(existing, format(session.segments));
       } else {
-        log(`Chunk #${chunkNum} empty transcription, nothing to insert`);
+        await this.app.vault.create(subtitlePath, format(session.segments));
       }
-      this.nextInsertChunk++;
     }
+    log(`Exported ${session.segments.length} subtitles for ${session.audioPath}`);
+    new Notice(`Subtitles written to ${basePath}.srt and ${basePath}.vtt`);
   }
 
-  stopRecording() {
-    log('Stopping recording');
-	setIcon(this.ribbonIcon, 'mic-off');
-    this.releaseWakeLock();
-    if (!this.isRecording) {
-      log('Was not recording');
+  async runFileTranscription(file, notePrompt, handleText) {
+    if (this.isTranscribingFile) {
+      new Notice('An audio file is already being transcribed');
       return;
     }
-    this.isRecording = false;
-    this.isStopping = true;
-    if (this.currentRecorder && this.currentRecorder.state === 'recording') {
-      log('Stopping current recorder');
-      this.currentRecorder.stop();
+    if (!(await this.loadModel())) {
+      log('Model not available, cannot transcribe file');
+      return;
+    }
+    this.isTranscribingFile = true;
+    try {
+      const text = await this.transcribeFile(file, notePrompt);
+      await handleText(text);
+      this.showStatus('Transcription complete', 2000);
+    } catch (error) {
+      if (error.cancelled) {
+        log(`Transcription of ${file.path} cancelled`);
+        return;
+      }
+      log(`Transcription of ${file.path} FAILED`, error);
+      this.showStatus('Transcription error: ' + error.message, 5000);
+    } finally {
+      this.isTranscribingFile = false;
     }
-    this.currentRecorder = null;
-    new Notice('Recording stopping');
   }
 
-  onunload() {
-    log('Plugin unloading');
-    this.stopRecording();
-    this.transcriber = null;
+  async transcribeFileToNote(file) {
+    await this.runFileTranscription(file, this.getNotePrompt(null), async (text) => {
+      const folder = file.parent ? file.parent.path : '';
+      let notePath = normalizePath(`${folder}/${file.basename} transcript.md`);
+      for (let index = 1; this.app.vault.getAbstractFileByPath(notePath); index++) {
+        notePath = normalizePath(`${folder}/${file.basename} transcript ${index}.md`);
+      }
+      const note = await this.app.vault.create(notePath, `![[${file.path}]]\n\n${text}\n`);
+      log(`Transcript of ${file.path} written to ${notePath}`);
+      await this.app.workspace.getLeaf(true).openFile(note);
+    });
   }
-}
 
-class WhisperSettingTab extends PluginSettingTab {
-  constructor(app, plugin) {
-    super(app, plugin);
-    this.plugin = plugin;
+  findEmbedAtCursor(editor, sourcePath) {
+    const cursor = editor.getCursor();
+    const line = editor.getLine(cursor.line);
+    const embeds = [...line.matchAll(/!\[\[([^\]]+)\]\]/g)];
+    // Prefer the embed the cursor is in, then the first one on the line
+    const match = embeds.find((m) => cursor.ch >= m.index && cursor.ch <= m.index + m[0].length) || embeds[0];
+    if (!match) {
+      return null;
+    }
+    const linkpath = match[1].split('|')[0].split('#')[0].trim();
+    const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+    if (!file || !AUDIO_EXTENSIONS.includes(file.extension.toLowerCase())) {
+      return null;
+    }
+    return { file, line: cursor.line, lineText: line };
   }
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
-    containerEl.createEl('h2', { text: 'Whisper Transcription Settings' });
-    new Setting(containerEl)
-      .setName('Model')
+
+  async transcribeEmbed(editor, view) {
+    const note = view.file;
+    const embed = note ? this.findEmbedAtCursor(editor, note.path) : null;
+    if (!embed) {
+      new Notice('Place the cursor on an audio embed');
+      return;
+    }
+    await this.runFileTranscription(embed.file, this.getNotePrompt(note), async (text) => {
+      const block = [TRANSCRIPT_CALLOUT, ...text.split('\n').map((textLine) => '> ' + textLine)].join('\n');
+      // The editor the command ran in may have been closed or switched to
+      // another note while transcribing, so the note is looked up again
+      const current = this.findEditor(note.path);
+      if (current) {
+        const range = this.findEmbedLines(current.getValue().split('\n'), embed);
+        current.replaceRange('\n' + block, { line: range.line, ch: embed.lineText.length }, { line: range.lastLine, ch: current.getLine(range.lastLine).length });
+      } else if (this.app.vault.getAbstractFileByPath(note.path) === note) {
+        await this.app.vault.process(note, (data) => {
+          const lines = data.split('\n');
+          const range = this.findEmbedLines(lines, embed);
+          lines.splice(range.line + 1, range.lastLine - range.line, ...block.split('\n'));
+          return lines.join('\n');
+        });
+      } else {
+        throw new Error('The note with the audio embed no longer exists');
+      }
+      log(`Transcript of ${embed.file.path} inserted below embed`);
+    });
+  }
+
+  // The note may have been edited while transcribing, so the embed's line is
+  // found again, along with the lines of a previous transcript below it
+  findEmbedLines(lines, embed) {
+    const line = lines[embed.line] === embed.lineText ? embed.line : lines.indexOf(embed.lineText);
+    if (line < 0) {
+      throw new Error('The audio embed is no longer in the note');
+    }
+    let lastLine = line;
+    if (line + 1 < lines.length && lines[line + 1].startsWith(TRANSCRIPT_CALLOUT)) {
+      lastLine = line + 1;
+      while (lastLine + 1 < lines.length && lines[lastLine + 1].startsWith('>')) {
+        lastLine++;
+      }
+      log(`Replacing previous transcript of ${embed.file.path}`);
+    }
+    return { line, lastLine };
+  }
+
+  flushPendingResults() {
+    while (this.pendingResults.has(this.nextInsertChunk)) {
+      const chunkNum = this.nextInsertChunk;
+      const result = this.pendingResults.get(chunkNum);
+      this.pendingResults.delete(chunkNum);
+      const stitched = result.joined ? null : this.stitchResult(result, this.stitchState);
+      if (stitched) {
+        if (this.session) {
+          this.session.segments.push(...stitched.segments);
+        }
+        let insertText = this.formatTranscript(stitched);
+        if (this.settings.spokenCommands) {
+          const edited = applyCommands(insertText, parseCommands(this.settings.spokenCommandList));
+          if (edited.scratchPrevious) {
+            this.scratchLastInsertion();
+          }
+          insertText = edited.text;
+        }
+        if (!insertText) {
+          log(`Chunk #${chunkNum} nothing left to insert after spoken commands`);
+        } else if (this.anchor) {
+          log(`Chunk #${chunkNum} inserting at anchor`, { path: this.anchor.path, offset: this.anchor.offset });
+          if (!this.settings.timestamps) {
+            insertText = this.joinToLastInsertion(insertText, stitched.gap);
+          }
+          insertText = this.markTranscript(insertText, stitched);
+          if (!/\s$/.test(insertText)) {
+            insertText += this.settings.timestamps ? '\n' : ' ';
+          }
+          this.lastInsertion = { raw: insertText, text: this.insertAtAnchor(insertText) };
+        } else {
+          log(`Chunk #${chunkNum} insertion anchor became null`);
+        }
+      } else {
+        log(result.joined ? `Chunk #${chunkNum} was transcribed with the chunk before it` : `Chunk #${chunkNum} empty transcription, nothing to insert`);
+      }
+      if (this.provisional.delete(chunkNum)) {
+        this.renderProvisional();
+      }
+      this.nextInsertChunk++;
+    }
+  }
+
+  getMarkdownViews(path) {
+    return this.app.workspace
+      .getLeavesOfType('markdown')
+      .map((leaf) => leaf.view)
+      .filter((view) => view instanceof MarkdownView && view.file && view.file.path === path);
+  }
+
+  findEditor(path) {
+    const views = this.getMarkdownViews(path);
+    return views.length ? views[0].editor : null;
+  }
+
+  // Insert text at the anchor, through an editor showing the note when there
+  // is one, and otherwise by editing the note's file.  The cursor follows the
+  // text only if it was at the anchor.  Returns the text as inserted, with
+  // the anchor's line prefix added.
+  insertAtAnchor(text, atLineStart = false) {
+    const anchor = this.anchor;
+    text = text.replace(/\n/g, '\n' + anchor.linePrefix);
+    const lineBreak = '\n' + anchor.linePrefix;
+    const needsBreak = (lineBefore) => atLineStart && lineBefore !== '' && lineBefore !== anchor.linePrefix;
+    const editor = this.findEditor(anchor.path);
+    if (editor) {
+      const offset = Math.min(anchor.offset, editor.getValue().length);
+      const from = editor.offsetToPos(offset);
+      if (needsBreak(editor.getLine(from.line).slice(0, from.ch))) {
+        text = lineBreak + text;
+      }
+      const following = editor.posToOffset(editor.getCursor()) === offset;
+      anchor.offset = offset;
+      editor.replaceRange(text, from);
+      anchor.advance(text.length);
+      if (following) {
+        editor.setCursor(editor.offsetToPos(anchor.offset));
+      }
+      log('Inserted text in editor', { path: anchor.path, length: text.length });
+      return text;
+    }
+    const file = this.app.vault.getAbstractFileByPath(anchor.path);
+    if (!(file instanceof TFile)) {
+      log(`Note ${anchor.path} no longer exists, dropping text`, text);
+      return text;
+    }
+    this.app.vault
+      .process(file, (data) => {
+        const offset = Math.min(anchor.offset, data.length);
+        const insert = needsBreak(data.slice(data.lastIndexOf('\n', offset - 1) + 1, offset)) ? lineBreak + text : text;
+        anchor.offset = offset;
+        anchor.advance(insert.length);
+        return data.slice(0, offset) + insert + data.slice(offset);
+      })
+      .then(() => log('Inserted text in file', { path: anchor.path, length: text.length }))
+      .catch((error) => {
+        log('Failed to insert text in file', error);
+        new Notice('Failed to insert transcription: ' + error.message);
+      });
+    return text;
+  }
+
+  // Only the text right before the anchor can be the previous insertion, and
+  // only its last sentence is removed
+  scratchLastInsertion() {
+    const insertion = this.lastInsertion;
+    const kept = insertion ? dropLastSentence(insertion.raw) : '';
+    const raw = kept && !/\s$/.test(kept) ? kept + ' ' : kept;
+    if (this.replaceLastInsertion(raw)) {
+      log('Scratched previous sentence', insertion.raw.slice(kept.length));
+      this.lastInsertion = raw ? { raw, text: raw.replace(/\n/g, '\n' + this.anchor.linePrefix) } : null;
+    } else {
+      log('Nothing to scratch');
+      this.lastInsertion = null;
+    }
+  }
+
+  // The previous insertion ends with the space added after it, which is
+  // replaced by the separator chosen for the seam.
+  joinToLastInsertion(text, gap) {
+    const insertion = this.lastInsertion;
+    if (!insertion || !insertion.raw.endsWith(' ')) {
+      return text;
+    }
+    const previous = insertion.raw.trimEnd();
+    const seam = joinSeam(previous, text, gap, this.settings.paragraphPauseMs / 1000);
+    if (seam.previous === previous && seam.separator === ' ') {
+      return seam.text;
+    }
+    log('Joining chunk seam', { previous: previous.slice(-30), separator: seam.separator, text: seam.text.slice(0, 30) });
+    if (this.replaceLastInsertion(seam.previous + seam.separator)) {
+      return seam.text;
+    }
+    return seam.separator === ' ' ? seam.text : seam.separator + seam.text;
+  }
+
+  // Replace the previous insertion, if it is still right before the anchor
+  // and unchanged.  A note that isn't open is checked when it is edited.
+  replaceLastInsertion(raw) {
+    const insertion = this.lastInsertion;
+    const anchor = this.anchor;
+    if (!insertion || !anchor) {
+      return false;
+    }
+    const replacement = raw.replace(/\n/g, '\n' + anchor.linePrefix);
+    const editor = this.findEditor(anchor.path);
+    if (editor) {
+      const from = anchor.offset - insertion.text.length;
+      if (from < 0 || editor.getRange(editor.offsetToPos(from), editor.offsetToPos(anchor.offset)) !== insertion.text) {
+        return false;
+      }
+      editor.replaceRange(replacement, editor.offsetToPos(from), editor.offsetToPos(anchor.offset));
+      anchor.offset = from + replacement.length;
+      anchor.addRange(from, anchor.offset);
+      return true;
+    }
+    const file = this.app.vault.getAbstractFileByPath(anchor.path);
+    if (!(file instanceof TFile)) {
+      return false;
+    }
+    this.app.vault.process(file, (data) => {
+      const from = anchor.offset - insertion.text.length;
+      if (from < 0 || data.slice(from, anchor.offset) !== insertion.text) {
+        log('Previous text changed, leaving it');
+        return data;
+      }
+      const end = anchor.offset;
+      anchor.recordEdit(from, end, replacement.length);
+      anchor.offset = from + replacement.length;
+      anchor.addRange(from, anchor.offset);
+      return data.slice(0, from) + replacement + data.slice(end);
+    });
+    return true;
+  }
+
+  // Remove all the text inserted by the last recording session, keeping it
+  // so it can be restored
+  async undoSession() {
+    const anchor = this.anchor;
+    if (this.isRecording || this.queue.size > 0 || this.pendingResults.size > 0) {
+      new Notice('Transcription is still in progress');
+      return;
+    }
+    if (!anchor || !anchor.ranges.length) {
+      new Notice('No transcription session to undo');
+      return;
+    }
+    const ranges = anchor.ranges;
+    const editor = this.findEditor(anchor.path);
+    if (editor) {
+      anchor.removed = ranges.map((range) => ({ pos: range.from, text: editor.getRange(editor.offsetToPos(range.from), editor.offsetToPos(range.to)) }));
+      // One transaction, so the editor's own undo restores it in one step too
+      editor.transaction({ changes: ranges.map((range) => ({ from: editor.offsetToPos(range.from), to: editor.offsetToPos(range.to), text: '' })) });
+    } else {
+      const file = this.app.vault.getAbstractFileByPath(anchor.path);
+      if (!(file instanceof TFile)) {
+        new Notice(`${anchor.path} no longer exists`);
+        return;
+      }
+      await this.app.vault.process(file, (data) => {
+        anchor.removed = ranges.map((range) => ({ pos: range.from, text: data.slice(range.from, range.to) }));
+        for (const range of [...ranges].reverse()) {
+          data = data.slice(0, range.from) + data.slice(range.to);
+          anchor.recordEdit(range.from, range.to, 0);
+        }
+        return data;
+      });
+    }
+    anchor.ranges = [];
+    const length = anchor.removed.reduce((total, entry) => total + entry.text.length, 0);
+    log(`Undid transcription session in ${anchor.path}`, anchor.removed);
+    new Notice(`Removed ${length} characters of transcription`);
+  }
+
+  async reinsertSession() {
+    const anchor = this.anchor;
+    if (!anchor || !anchor.removed.length) {
+      new Notice('No undone transcription session to re-insert');
+      return;
+    }
+    const removed = anchor.removed;
+    anchor.removed = [];
+    const editor = this.findEditor(anchor.path);
+    if (editor) {
+      editor.transaction({ changes: removed.map((entry) => ({ from: editor.offsetToPos(entry.pos), text: entry.text })) });
+      // Positions were before the insertions, which shift the later ones
+      let shift = 0;
+      for (const entry of removed) {
+        anchor.addRange(entry.pos + shift, entry.pos + shift + entry.text.length);
+        shift += entry.text.length;
+      }
+    } else {
+      const file = this.app.vault.getAbstractFileByPath(anchor.path);
+      if (!(file instanceof TFile)) {
+        new Notice(`${anchor.path} no longer exists`);
+        return;
+      }
+      await this.app.vault.process(file, (data) => {
+        let shift = 0;
+        for (const entry of removed) {
+          const pos = Math.min(entry.pos + shift, data.length);
+          data = data.slice(0, pos) + entry.text + data.slice(pos);
+          anchor.recordEdit(pos, pos, entry.text.length);
+          anchor.addRange(pos, pos + entry.text.length);
+          shift += entry.text.length;
+        }
+        return data;
+      });
+    }
+    log(`Re-inserted transcription session in ${anchor.path}`);
+    new Notice('Transcription re-inserted');
+  }
+
+  stopRecording() {
+    log('Stopping recording');
+	setIcon(this.ribbonIcon, 'mic-off');
+    this.releaseWakeLock();
+    if (!this.isRecording) {
+      log('Was not recording');
+      return;
+    }
+    // The final partial chunk is transcribed before capture stops
+    this.endChunk();
+    this.isRecording = false;
+    this.releaseCapture();
+    new Notice('Recording stopped');
+    log('Recording stopped');
+  }
+
+  releaseCapture() {
+    if (this.sessionRecorder) {
+      if (this.sessionRecorder.state !== 'inactive') {
+        this.sessionRecorder.stop();
+      }
+      this.sessionRecorder = null;
+    }
+    if (this.capture) {
+      this.capture.stop();
+      this.capture = null;
+    }
+    if (this.mediaStream) {
+      this.mediaStream.getTracks().forEach((track) => track.stop());
+      this.mediaStream = null;
+    }
+    this.vad = null;
+  }
+
+  onunload() {
+    log('Plugin unloading');
+    this.stopRecording();
+    this.queue.cancelAll();
+    if (this.liveController) {
+      this.liveController.abort();
+    }
+    this.transcriber = null;
+    if (this.desktopTranscriber) {
+      this.desktopTranscriber.shutdown();
+    }
+  }
+}
+
+class AudioFileSuggestModal extends FuzzySuggestModal {
+  constructor(app, onChoose) {
+    super(app);
+    this.onChoose = onChoose;
+    this.setPlaceholder('Choose an audio file to transcribe');
+  }
+
+  getItems() {
+    return this.app.vault.getFiles().filter((file) => AUDIO_EXTENSIONS.includes(file.extension.toLowerCase()));
+  }
+
+  getItemText(file) {
+    return file.path;
+  }
+
+  onChooseItem(file) {
+    this.onChoose(file);
+  }
+}
+
+class WhisperSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    containerEl.createEl('h2', { text: 'Whisper Transcription Settings' });
+    new Setting(containerEl)
+      .setName('Model')
       .setDesc('Smaller = faster, less accurate. Downloaded on first use.')
       .addDropdown((dropdown) =>
         dropdown
@@ -511,7 +1692,7 @@ class WhisperSettingTab extends PluginSettingTab {
           .setValue(this.plugin.settings.modelId)
           .onChange(async (value) => {
             this.plugin.settings.modelId = value;
-            this.plugin.transcriber = null;
+            this.plugin.resetTranscriber();
             await this.plugin.saveSettings();
             let cached;
             if (!isMobilePlatform && this.plugin.desktopTranscriber) {
@@ -529,9 +1710,84 @@ class WhisperSettingTab extends PluginSettingTab {
             }
           })
       );
+    new Setting(containerEl)
+      .setName('Language')
+      .setDesc('The language you speak. Only used by multilingual models; English models always transcribe English.')
+      .addDropdown((dropdown) => {
+        dropdown.addOption('auto', 'Detect automatically');
+        LANGUAGES.forEach(([code, name]) => dropdown.addOption(code, name));
+        dropdown.setValue(this.plugin.settings.language).onChange(async (value) => {
+          this.plugin.settings.language = value;
+          await this.plugin.saveSettings();
+        });
+      });
+    new Setting(containerEl)
+      .setName('Translate to English')
+      .setDesc('Write an English translation instead of transcribing in the spoken language. Only used by multilingual models.')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.translate).onChange(async (value) => {
+          this.plugin.settings.translate = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    if (!isMobilePlatform) {
+      new Setting(containerEl)
+        .setName('Keep whisper.cpp running')
+        .setDesc('Keep the model loaded in a whisper.cpp server process between chunks instead of loading it for every chunk. Falls back to loading it per chunk if the release has no server.')
+        .addToggle((toggle) =>
+          toggle.setValue(this.plugin.settings.persistentEngine).onChange(async (value) => {
+            this.plugin.settings.persistentEngine = value;
+            this.plugin.resetTranscriber();
+            await this.plugin.saveSettings();
+          })
+        );
+    }
+    new Setting(containerEl)
+      .setName('Transcript destination')
+      .setDesc('Where the toggle command and ribbon button put the transcript. Each destination also has its own start command.')
+      .addDropdown((dropdown) => {
+        Object.entries(DESTINATIONS).forEach(([destination, label]) => dropdown.addOption(destination, label[0].toUpperCase() + label.slice(1)));
+        dropdown.setValue(this.plugin.settings.destination).onChange(async (value) => {
+          this.plugin.settings.destination = value;
+          await this.plugin.saveSettings();
+        });
+      });
+    new Setting(containerEl)
+      .setName('Daily note heading')
+      .setDesc("Transcripts in the daily note are added to the end of this heading's section, which is created if missing. Leave empty to add them to the end of the note.")
+      .addText((text) =>
+        text
+          .setPlaceholder('## Transcripts')
+          .setValue(this.plugin.settings.dailyNoteHeading)
+          .onChange(async (value) => {
+            this.plugin.settings.dailyNoteHeading = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('New note folder')
+      .setDesc('Folder for notes created for each recording. Leave empty for the vault root.')
+      .addText((text) =>
+        text.setValue(this.plugin.settings.newNoteFolder).onChange(async (value) => {
+          this.plugin.settings.newNoteFolder = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('New note template')
+      .setDesc('Path of a note to start each new note from. {{title}}, {{date}} and {{time}} are filled in.')
+      .addText((text) =>
+        text
+          .setPlaceholder('Templates/Transcript')
+          .setValue(this.plugin.settings.newNoteTemplate)
+          .onChange(async (value) => {
+            this.plugin.settings.newNoteTemplate = value;
+            await this.plugin.saveSettings();
+          })
+      );
     new Setting(containerEl)
       .setName('Chunk duration (seconds)')
-      .setDesc('How often transcription runs. 10-15s recommended.')
+      .setDesc('How often transcription runs. 10-15s recommended. When chunks end at pauses, this is the longest a chunk can be.')
       .addSlider((slider) =>
         slider
           .setLimits(5, 30, 5)
@@ -542,6 +1798,268 @@ class WhisperSettingTab extends PluginSettingTab {
             await this.plugin.saveSettings();
           })
       );
+    new Setting(containerEl)
+      .setName('Chunking')
+      .setDesc('End each chunk after a fixed duration, or at the nearest pause in speech.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('timer', 'Fixed duration')
+          .addOption('vad', 'End at pauses')
+          .setValue(this.plugin.settings.chunkMode)
+          .onChange(async (value) => {
+            this.plugin.settings.chunkMode = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Minimum chunk duration (seconds)')
+      .setDesc('When ending chunks at pauses, pauses before this are ignored.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(1, 10, 1)
+          .setValue(this.plugin.settings.vadMinChunkMs / 1000)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.vadMinChunkMs = value * 1000;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Pause length (milliseconds)')
+      .setDesc('When ending chunks at pauses, how much silence counts as a pause.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(200, 2000, 100)
+          .setValue(this.plugin.settings.vadSilenceMs)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.vadSilenceMs = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Chunk overlap (seconds)')
+      .setDesc('Audio shared between consecutive chunks so words at the seams are heard in full. Repeated words are removed from the transcript.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 3, 0.5)
+          .setValue(this.plugin.settings.overlapMs / 1000)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.overlapMs = value * 1000;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Paragraph break after pause (seconds)')
+      .setDesc('Start a new paragraph when there is a pause at least this long between sentences. Set to 0 to keep everything in one paragraph.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 10, 0.5)
+          .setValue(this.plugin.settings.paragraphPauseMs / 1000)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.paragraphPauseMs = value * 1000;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Live text')
+      .setDesc('While a chunk is being recorded, transcribe it so far and show the result greyed out at the insertion point until the final transcript replaces it. Uses more processing power.')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.liveText).onChange(async (value) => {
+          this.plugin.settings.liveText = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Live text interval (seconds)')
+      .setDesc('How often the live text is updated.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(1, 5, 0.5)
+          .setValue(this.plugin.settings.liveIntervalMs / 1000)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.liveIntervalMs = value * 1000;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Parallel transcriptions')
+      .setDesc('How many chunks can be transcribed at the same time. Whisper already uses several processor cores, so more than one mostly helps on fast machines.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(1, 4, 1)
+          .setValue(this.plugin.settings.maxConcurrentJobs)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.maxConcurrentJobs = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Waiting chunks')
+      .setDesc(`How many chunks can wait to be transcribed. Once that many are waiting, each new chunk is joined to the last waiting one, up to ${MAX_JOB_SECONDS} seconds of audio.`)
+      .addSlider((slider) =>
+        slider
+          .setLimits(1, 10, 1)
+          .setValue(this.plugin.settings.maxQueuedJobs)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.maxQueuedJobs = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Transcription timeout (seconds)')
+      .setDesc('Give up on a chunk that takes longer than this, stopping whisper.cpp, so that the chunks after it are still inserted. Set to 0 to wait indefinitely.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 600, 30)
+          .setValue(this.plugin.settings.jobTimeoutMs / 1000)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.jobTimeoutMs = value * 1000;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Save recordings')
+      .setDesc("Keep the audio of each recording as an attachment, using the vault's attachment folder. The recording is embedded at the start of the transcript along with the model used.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.saveRecordings).onChange(async (value) => {
+          this.plugin.settings.saveRecordings = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Timestamps')
+      .setDesc('Start each transcribed segment on its own line with its time in the recording, such as [00:01:23].')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.timestamps).onChange(async (value) => {
+          this.plugin.settings.timestamps = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Hallucination filters')
+      .setDesc('Whisper often invents text during silence. One entry per line: a phrase is removed when it is all the text of a segment, and /pattern/flags is a regular expression removed wherever it matches. Dropped text is logged to the developer console.')
+      .addTextArea((text) =>
+        text.setValue(this.plugin.settings.hallucinationFilters).onChange(async (value) => {
+          this.plugin.settings.hallucinationFilters = value;
+          await this.plugin.saveSettings();
+        })
+      )
+      .addExtraButton((button) =>
+        button
+          .setIcon('reset')
+          .setTooltip('Restore default filters')
+          .onClick(async () => {
+            this.plugin.settings.hallucinationFilters = DEFAULT_HALLUCINATION_FILTERS;
+            await this.plugin.saveSettings();
+            this.display();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Highlight low-confidence words')
+      .setDesc("Mark words Whisper wasn't sure about so you know what to double-check. Desktop only, as the mobile engine doesn't report confidence. The 'Remove low-confidence markers' command strips them after review.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.highlightLowConfidence).onChange(async (value) => {
+          this.plugin.settings.highlightLowConfidence = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Confidence threshold')
+      .setDesc('Words recognized with a lower probability than this are marked.')
+      .addSlider((slider) =>
+        slider
+          .setLimits(0.05, 0.95, 0.05)
+          .setValue(this.plugin.settings.lowConfidenceThreshold)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            this.plugin.settings.lowConfidenceThreshold = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Low-confidence marker')
+      .setDesc('How a marked word is written, with {word} standing for the word. The default highlights it; HTML such as <span class="unsure">{word}</span> also works.')
+      .addText((text) =>
+        text
+          .setPlaceholder('=={word}==')
+          .setValue(this.plugin.settings.lowConfidenceFormat)
+          .onChange(async (value) => {
+            this.plugin.settings.lowConfidenceFormat = value.includes('{word}') ? value : '=={word}==';
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Keep sound tags')
+      .setDesc('Keep bracketed tags such as [laughter] or (music) instead of removing them.')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.keepSoundTags).onChange(async (value) => {
+          this.plugin.settings.keepSoundTags = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Remove repeated phrases')
+      .setDesc('Collapse a word, phrase, or segment repeated four or more times in a row, which happens when Whisper gets stuck in a loop.')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.removeRepeats).onChange(async (value) => {
+          this.plugin.settings.removeRepeats = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Spoken commands')
+      .setDesc('While recording, turn spoken commands such as "new line" or "scratch that" into edits instead of words.')
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.spokenCommands).onChange(async (value) => {
+          this.plugin.settings.spokenCommands = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Spoken command list')
+      .setDesc('One command per line as "phrase = replacement". In a replacement, \\n is a line break and {scratch} deletes the sentence dictated before the command.')
+      .addTextArea((text) =>
+        text.setValue(this.plugin.settings.spokenCommandList).onChange(async (value) => {
+          this.plugin.settings.spokenCommandList = value;
+          await this.plugin.saveSettings();
+        })
+      )
+      .addExtraButton((button) =>
+        button
+          .setIcon('reset')
+          .setTooltip('Restore default commands')
+          .onClick(async () => {
+            this.plugin.settings.spokenCommandList = DEFAULT_SPOKEN_COMMANDS;
+            await this.plugin.saveSettings();
+            this.display();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Vocabulary prompt')
+      .setDesc(`Names, jargon, and example sentences that help Whisper spell things the way you do. A note can add its own with a "${PROMPT_PROPERTY}" property.`)
+      .addTextArea((text) =>
+        text.setValue(this.plugin.settings.initialPrompt).onChange(async (value) => {
+          this.plugin.settings.initialPrompt = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('Carry context between chunks')
+      .setDesc("Include the end of the previous chunk's text in the prompt so consecutive chunks stay consistent in spelling and style.")
+      .addToggle((toggle) =>
+        toggle.setValue(this.plugin.settings.carryContext).onChange(async (value) => {
+          this.plugin.settings.carryContext = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    this.displayReplacements(containerEl);
     new Setting(containerEl)
       .setName('Check model cache')
       .setDesc('See if the current model is cached for offline use')
@@ -572,10 +2090,10 @@ class WhisperSettingTab extends PluginSettingTab {
             button.setDisabled(true);
             try {
               if (!isMobilePlatform) {
-                if (!this.plugin.destopTransriber) {
+                if (!this.plugin.desktopTranscriber) {
                   this.plugin.desktopTranscriber = new DesktopTranscriber(this.plugin);
                 }
-                this.plugin.desktopTranscriber.clearCache();
+                await this.plugin.desktopTranscriber.clearCache();
                 new Notice('Cache cleared');
               } else {
                 const cacheNames = await caches.keys();
@@ -593,6 +2111,383 @@ class WhisperSettingTab extends PluginSettingTab {
             }
           })
       );
+    this.displayDecoding(containerEl);
+    if (!isMobilePlatform) {
+      this.displayEngineSetup(containerEl);
+    }
+  }
+
+  displayDecoding(containerEl) {
+    const settings = this.plugin.settings;
+    containerEl.createEl('h3', { text: 'Decoding and performance' });
+    if (isMobilePlatform) {
+      new Setting(containerEl)
+        .setName('Beams')
+        .setDesc('Beams searched when decoding. 1 decodes greedily, which is fastest; more can be more accurate but are much slower.')
+        .addSlider((slider) =>
+          slider
+            .setLimits(1, 5, 1)
+            .setValue(settings.numBeams)
+            .setDynamicTooltip()
+            .onChange(async (value) => {
+              settings.numBeams = value;
+              await this.plugin.saveSettings();
+            })
+        );
+      new Setting(containerEl)
+        .setName('Pipeline chunk length (seconds)')
+        .setDesc("Have the pipeline split audio into chunks of this length itself. Only matters for audio longer than Whisper's 30 second window. 0 leaves it off.")
+        .addSlider((slider) =>
+          slider
+            .setLimits(0, 30, 5)
+            .setValue(settings.chunkLengthS)
+            .setDynamicTooltip()
+            .onChange(async (value) => {
+              settings.chunkLengthS = value;
+              await this.plugin.saveSettings();
+            })
+        );
+      new Setting(containerEl)
+        .setName('Pipeline chunk stride (seconds)')
+        .setDesc('Audio overlapping the neighbouring chunk, taken from each side of every chunk the pipeline makes, so it must be less than half the chunk length. 0 uses the pipeline default of a sixth of the chunk length.')
+        .addSlider((slider) =>
+          slider
+            .setLimits(0, 10, 1)
+            .setValue(settings.strideLengthS)
+            .setDynamicTooltip()
+            .onChange(async (value) => {
+              if (value && settings.chunkLengthS && 2 * value >= settings.chunkLengthS) {
+                new Notice(`The stride must be less than half the ${settings.chunkLengthS} second chunk length`);
+                slider.setValue(settings.strideLengthS);
+                return;
+              }
+              settings.strideLengthS = value;
+              await this.plugin.saveSettings();
+            })
+        );
+      return;
+    }
+    const cpuCount = navigator.hardwareConcurrency || 4;
+    new Setting(containerEl)
+      .setName('Threads')
+      .setDesc(`Processor threads whisper.cpp uses for each chunk. 0 uses one per core (${cpuCount} here, up to 8), shared between parallel transcriptions.`)
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, cpuCount, 1)
+          .setValue(settings.threads)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            settings.threads = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Beam size')
+      .setDesc("Beams searched when decoding. More can be more accurate but are slower. 0 uses whisper.cpp's default.")
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 10, 1)
+          .setValue(settings.beamSize)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            settings.beamSize = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Best of')
+      .setDesc("Candidates sampled when decoding falls back to a higher temperature. 0 uses whisper.cpp's default.")
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 10, 1)
+          .setValue(settings.bestOf)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            settings.bestOf = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Temperature fallback')
+      .setDesc('When decoding fails, retry at increasing temperatures. Turning it off is faster but can leave repeated or missing text.')
+      .addToggle((toggle) =>
+        toggle.setValue(settings.temperatureFallback).onChange(async (value) => {
+          settings.temperatureFallback = value;
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('No-speech threshold')
+      .setDesc("How sure Whisper must be that there is no speech before it skips a segment. 0 uses whisper.cpp's default. Needs a recent whisper.cpp.")
+      .addSlider((slider) =>
+        slider
+          .setLimits(0, 1, 0.05)
+          .setValue(settings.noSpeechThreshold)
+          .setDynamicTooltip()
+          .onChange(async (value) => {
+            settings.noSpeechThreshold = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Flash attention')
+      .setDesc('Faster on most GPUs. whisper.cpp turns it on by default from 1.8. Turning it on needs whisper.cpp 1.6.2 or later, and turning it off needs 1.8 or later.')
+      .addDropdown((dropdown) =>
+        dropdown
+          .addOption('default', "whisper.cpp's default")
+          .addOption('on', 'On')
+          .addOption('off', 'Off')
+          .setValue(settings.flashAttention)
+          .onChange(async (value) => {
+            settings.flashAttention = value;
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Use GPU')
+      .setDesc('Run on the GPU when whisper.cpp was built with GPU support. Turn off if the GPU is busy or transcription fails on it.')
+      .addToggle((toggle) =>
+        toggle.setValue(settings.useGpu).onChange(async (value) => {
+          settings.useGpu = value;
+          await this.plugin.saveSettings();
+        })
+      );
+  }
+
+  displayEngineSetup(containerEl) {
+    const settings = this.plugin.settings;
+    containerEl.createEl('h3', { text: 'whisper.cpp setup' });
+    containerEl.createEl('p', {
+      text: "Where whisper.cpp and its models come from. Machines that can't reach Hugging Face or GitHub can download them from a local mirror, import files copied from another machine, or use their own build.",
+    });
+    new Setting(containerEl)
+      .setName('Model download URL')
+      .setDesc('Folder the ggml model files are downloaded from, such as a local mirror of the whisper.cpp models. Leave empty to use Hugging Face.')
+      .addText((text) =>
+        text
+          .setPlaceholder('https://huggingface.co/ggerganov/whisper.cpp/resolve/main')
+          .setValue(settings.modelBaseUrl)
+          .onChange(async (value) => {
+            settings.modelBaseUrl = value.trim();
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('whisper.cpp download URL')
+      .setDesc('Folder holding the whisper.cpp release archive under its usual name, such as whisper-blas-bin-x64.zip on Windows. Leave empty to download the latest release from GitHub.')
+      .addText((text) =>
+        text.setValue(settings.executableBaseUrl).onChange(async (value) => {
+          settings.executableBaseUrl = value.trim();
+          await this.plugin.saveSettings();
+        })
+      );
+    new Setting(containerEl)
+      .setName('whisper.cpp executable')
+      .setDesc('Full path to your own whisper-cli build, such as one for Linux on ARM or with CUDA or Vulkan, used instead of downloading one. A whisper-server in the same folder is used to keep the model loaded.')
+      .addText((text) =>
+        text.setValue(settings.executablePath).onChange(async (value) => {
+          settings.executablePath = value.trim();
+          this.plugin.resetTranscriber();
+          await this.plugin.saveSettings();
+        })
+      )
+      .addButton((button) =>
+        button.setButtonText('Test').onClick(async () => {
+          if (!settings.executablePath) {
+            new Notice('Enter the path of a whisper-cli executable first');
+            return;
+          }
+          button.setDisabled(true);
+          try {
+            const output = await checkExecutable(settings.executablePath);
+            new Notice('whisper.cpp runs: ' + output.trim().split('\n')[0]);
+          } catch (error) {
+            new Notice('whisper.cpp test failed: ' + error.message);
+          } finally {
+            button.setDisabled(false);
+          }
+        })
+      );
+    new Setting(containerEl)
+      .setName('Custom model')
+      .setDesc('Used instead of the model chosen above. Either the full path to a ggml or GGUF model file, or the name of a model file to download from the model download URL, such as ggml-large-v3-turbo-q5_0.bin.')
+      .addText((text) =>
+        text
+          .setPlaceholder('ggml-large-v3-turbo-q5_0.bin')
+          .setValue(settings.customModel)
+          .onChange(async (value) => {
+            settings.customModel = value.trim();
+            this.plugin.resetTranscriber();
+            await this.plugin.saveSettings();
+          })
+      );
+    new Setting(containerEl)
+      .setName('Import model')
+      .setDesc("Copy a ggml model file (ggml-*.bin) into the plugin and select it. The file is checked to be a full precision whisper.cpp model of one of the sizes above; use 'Custom model' for quantized models.")
+      .addButton((button) => button.setButtonText('Import model').onClick(() => this.importFile(button, '.bin', (transcriber, filePath) => this.importModel(transcriber, filePath))));
+    new Setting(containerEl)
+      .setName('Import whisper.cpp')
+      .setDesc('Install whisper.cpp from a release archive (.zip or .tar.gz) or the whisper-cli executable itself. It is only used if it runs on this machine.')
+      .addButton((button) => button.setButtonText('Import whisper.cpp').onClick(() => this.importFile(button, '', (transcriber, filePath) => this.importExecutable(transcriber, filePath))));
+  }
+
+  importFile(button, accept, handleFile) {
+    const input = createEl('input', { attr: { type: 'file', accept } });
+    input.onchange = async () => {
+      const file = input.files[0];
+      if (!file) {
+        return;
+      }
+      button.setDisabled(true);
+      try {
+        if (!this.plugin.desktopTranscriber) {
+          this.plugin.desktopTranscriber = new DesktopTranscriber(this.plugin);
+        }
+        await handleFile(this.plugin.desktopTranscriber, getFilePath(file));
+      } catch (error) {
+        new Notice('Import failed: ' + error.message);
+      } finally {
+        button.setDisabled(false);
+      }
+    };
+    input.click();
+  }
+
+  async importModel(transcriber, filePath) {
+    const modelId = await transcriber.importModel(filePath);
+    if (modelId !== this.plugin.settings.modelId) {
+      this.plugin.settings.modelId = modelId;
+      await this.plugin.saveSettings();
+    }
+    this.plugin.resetTranscriber();
+    new Notice(`Model imported and selected: ${modelId.replace('Xenova/', '')}`);
+    this.display();
+  }
+
+  async importExecutable(transcriber, filePath) {
+    await transcriber.importExecutable(filePath);
+    this.plugin.resetTranscriber();
+    new Notice('whisper.cpp imported');
+  }
+
+  displayReplacements(containerEl) {
+    const settings = this.plugin.settings;
+    containerEl.createEl('h3', { text: 'Replacements' });
+    containerEl.createEl('p', {
+      text: 'Fix words Whisper consistently gets wrong. Replacements run on every transcribed chunk before it is inserted, in the order listed. A regular expression replacement can use $1 for its groups.',
+      cls: 'setting-item-description',
+    });
+    settings.replacements.forEach((entry, index) => {
+      new Setting(containerEl)
+        .addText((text) =>
+          text
+            .setPlaceholder('Find')
+            .setValue(entry.find)
+            .onChange(async (value) => {
+              entry.find = value;
+              await this.plugin.saveSettings();
+            })
+        )
+        .addText((text) =>
+          text
+            .setPlaceholder('Replace with')
+            .setValue(entry.replace)
+            .onChange(async (value) => {
+              entry.replace = value;
+              await this.plugin.saveSettings();
+            })
+        )
+        .addToggle((toggle) =>
+          toggle
+            .setTooltip('Regular expression')
+            .setValue(entry.regex)
+            .onChange(async (value) => {
+              entry.regex = value;
+              await this.plugin.saveSettings();
+            })
+        )
+        .addToggle((toggle) =>
+          toggle
+            .setTooltip('Case sensitive')
+            .setValue(entry.caseSensitive)
+            .onChange(async (value) => {
+              entry.caseSensitive = value;
+              await this.plugin.saveSettings();
+            })
+        )
+        .addToggle((toggle) =>
+          toggle
+            .setTooltip('Whole word')
+            .setValue(entry.wholeWord)
+            .onChange(async (value) => {
+              entry.wholeWord = value;
+              await this.plugin.saveSettings();
+            })
+        )
+        .addExtraButton((button) =>
+          button
+            .setIcon('trash')
+            .setTooltip('Delete replacement')
+            .onClick(async () => {
+              settings.replacements.splice(index, 1);
+              await this.plugin.saveSettings();
+              this.display();
+            })
+        );
+    });
+    new Setting(containerEl)
+      .setDesc(`Export writes the list to ${REPLACEMENTS_FILE} in the vault. Import adds entries from a JSON file, replacing any with the same find text.`)
+      .addButton((button) =>
+        button.setButtonText('Add replacement').onClick(async () => {
+          settings.replacements.push({ find: '', replace: '', regex: false, caseSensitive: false, wholeWord: true });
+          await this.plugin.saveSettings();
+          this.display();
+        })
+      )
+      .addButton((button) =>
+        button.setButtonText('Export').onClick(async () => {
+          const json = JSON.stringify(settings.replacements, null, 2);
+          const existing = this.app.vault.getAbstractFileByPath(REPLACEMENTS_FILE);
+          if (existing instanceof TFile) {
+            await this.app.vault.modify(existing, json);
+          } else {
+            await this.app.vault.create(REPLACEMENTS_FILE, json);
+          }
+          new Notice(`Exported ${settings.replacements.length} replacements to ${REPLACEMENTS_FILE}`);
+        })
+      )
+      .addButton((button) =>
+        button.setButtonText('Import').onClick(() => {
+          const input = createEl('input', { attr: { type: 'file', accept: '.json,application/json' } });
+          input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) {
+              return;
+            }
+            try {
+              const imported = JSON.parse(await file.text());
+              if (!Array.isArray(imported) || !imported.every((entry) => entry && typeof entry.find === 'string' && typeof entry.replace === 'string')) {
+                throw new Error('expected a list of entries with "find" and "replace" text');
+              }
+              for (const entry of imported) {
+                const replacement = { find: entry.find, replace: entry.replace, regex: !!entry.regex, caseSensitive: !!entry.caseSensitive, wholeWord: entry.wholeWord !== false };
+                const index = settings.replacements.findIndex((existing) => existing.find === replacement.find && existing.regex === replacement.regex);
+                if (index >= 0) {
+                  settings.replacements[index] = replacement;
+                } else {
+                  settings.replacements.push(replacement);
+                }
+              }
+              await this.plugin.saveSettings();
+              new Notice(`Imported ${imported.length} replacements`);
+              this.display();
+            } catch (error) {
+              new Notice('Failed to import replacements: ' + error.message);
+            }
+          };
+          input.click();
+        })
+      );
   }
 }
 
@@ -0,0 +1,46 @@
+const { StateEffect, StateField } = require('@codemirror/state');
+const { Decoration, EditorView, WidgetType } = require('@codemirror/view');
+
+// Greyed text shown at the insertion point while a chunk is still being
+// recorded.  It is a decoration only, so it never becomes part of the note.
+const setProvisional = StateEffect.define();
+
+class ProvisionalWidget extends WidgetType {
+  constructor(text) {
+    super();
+    this.text = text;
+  }
+
+  eq(other) {
+    return other.text === this.text;
+  }
+
+  toDOM() {
+    const span = document.createElement('span');
+    span.className = 'whisper-provisional';
+    span.style.color = 'var(--text-faint)';
+    span.textContent = this.text;
+    return span;
+  }
+}
+
+const provisionalField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, transaction) {
+    decorations = decorations.map(transaction.changes);
+    for (const effect of transaction.effects) {
+      if (effect.is(setProvisional)) {
+        const { pos, text } = effect.value;
+        decorations = text ? Decoration.set([Decoration.widget({ widget: new ProvisionalWidget(text), side: 1 }).range(Math.min(pos, transaction.state.doc.length))]) : Decoration.none;
+      }
+    }
+    return decorations;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
+function showProvisional(view, pos, text) {
+  view.dispatch({ effects: setProvisional.of({ pos, text }) });
+}
+
+module.exports = { provisionalField, showProvisional };
@@ -0,0 +1,469 @@
+// A phrase repeated this many times in a row is treated as a decoding loop
+const MIN_REPEATS = 4;
+const MAX_REPEAT_WORDS = 10;
+// Speech this close across a chunk seam is treated as one sentence
+const SEAM_GAP_SECONDS = 0.5;
+// Words that rarely start a sentence after a period Whisper put at a seam
+const CONTINUATION_WORDS = new Set(['and', 'but', 'or', 'nor', 'so', 'because', 'that', 'which', 'who', 'whom', 'whose', 'where', 'while', 'than', 'to', 'of', 'with', 'for', 'from', 'in', 'on', 'at', 'by', 'as', 'if']);
+// How far ahead a word is looked for among the recognized tokens, since
+// edits such as overlap removal drop words from the text but not the tokens
+const CONFIDENCE_LOOKAHEAD = 16;
+const ABBREVIATIONS = /(?:^|\s)(?:mr|mrs|ms|dr|prof|st|vs|etc|e\.g|i\.e)\.$/i;
+
+function splitWords(text) {
+  return text.split(/\s+/).filter((word) => word.length > 0);
+}
+
+function normalizeWord(word) {
+  return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+}
+
+function normalizePhrase(text) {
+  return splitWords(text)
+    .map(normalizeWord)
+    .filter((word) => word.length > 0)
+    .join(' ');
+}
+
+// Parse a list of hallucination filters, one per line.  Lines written as
+// /pattern/flags are regular expressions removed wherever they match; other
+// lines are phrases removed when they are all the text of a segment.  Invalid
+// regular expressions are skipped.
+function parseFilters(list) {
+  const filters = [];
+  for (const line of list.split('\n')) {
+    const entry = line.trim();
+    if (!entry) {
+      continue;
+    }
+    const match = entry.match(/^\/(.+)\/([a-z]*)$/);
+    if (match) {
+      try {
+        filters.push({ regex: new RegExp(match[1], match[2].includes('g') ? match[2] : match[2] + 'g') });
+      } catch (error) {}
+    } else {
+      filters.push({ phrase: normalizePhrase(entry) });
+    }
+  }
+  return filters;
+}
+
+function collapseRepeats(text, dropped) {
+  const words = splitWords(text);
+  const normalized = words.map(normalizeWord);
+  const sameRun = (a, b, length) => {
+    for (let i = 0; i < length; i++) {
+      if (normalized[a + i] !== normalized[b + i]) {
+        return false;
+      }
+    }
+    return true;
+  };
+  const result = [];
+  let pos = 0;
+  while (pos < words.length) {
+    let collapsed = false;
+    for (let length = 1; length <= MAX_REPEAT_WORDS && pos + length * MIN_REPEATS <= words.length; length++) {
+      let count = 1;
+      while (pos + (count + 1) * length <= words.length && sameRun(pos, pos + count * length, length)) {
+        count++;
+      }
+      if (count >= MIN_REPEATS) {
+        result.push(...words.slice(pos, pos + length));
+        dropped.push(words.slice(pos + length, pos + count * length).join(' '));
+        pos += count * length;
+        collapsed = true;
+        break;
+      }
+    }
+    if (!collapsed) {
+      result.push(words[pos]);
+      pos++;
+    }
+  }
+  return result.join(' ');
+}
+
+function filterText(text, filters, options, dropped) {
+  const remove = (pattern) => {
+    text = text.replace(pattern, (match) => {
+      dropped.push(match.trim());
+      return ' ';
+    });
+  };
+  if (!options.keepSoundTags) {
+    remove(/\[[^\]]*\]|\([^)]*\)/g);
+  }
+  filters.filter((filter) => filter.regex).forEach((filter) => remove(filter.regex));
+  // Phrases only match a whole segment, so a real answer inside longer
+  // speech is kept
+  const phrase = normalizePhrase(text);
+  if (phrase && filters.some((filter) => filter.phrase === phrase)) {
+    dropped.push(text.trim());
+    return '';
+  }
+  if (options.removeRepeats) {
+    text = collapseRepeats(text, dropped);
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Remove hallucinations from each segment of a transcription.  Besides the
+// filters, runs of identical segments are collapsed when removing repeats.
+// Returns the remaining segments and a list of the text that was dropped.
+function filterSegments(segments, filters, options) {
+  const dropped = [];
+  const filtered = [];
+  for (const segment of segments) {
+    const text = filterText(segment.text, filters, options, dropped);
+    if (text) {
+      filtered.push(Object.assign({}, segment, { text }));
+    }
+  }
+  if (!options.removeRepeats) {
+    return { segments: filtered, dropped };
+  }
+  const result = [];
+  for (let pos = 0; pos < filtered.length;) {
+    const phrase = normalizePhrase(filtered[pos].text);
+    let end = pos + 1;
+    while (end < filtered.length && normalizePhrase(filtered[end].text) === phrase) {
+      end++;
+    }
+    if (end - pos >= MIN_REPEATS) {
+      result.push(filtered[pos]);
+      dropped.push(...filtered.slice(pos + 1, end).map((segment) => segment.text));
+    } else {
+      result.push(...filtered.slice(pos, end));
+    }
+    pos = end;
+  }
+  return { segments: result, dropped };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse a list of spoken commands, one per line as `phrase = replacement`.
+// In replacements, \n is a line break and {scratch} deletes the sentence
+// dictated before the command.
+function parseCommands(list) {
+  const commands = [];
+  for (const line of list.split('\n')) {
+    const separator = line.indexOf('=');
+    if (separator < 0) {
+      continue;
+    }
+    const phrase = normalizePhrase(line.slice(0, separator));
+    const replacement = line
+      .slice(separator + 1)
+      .trim()
+      .replace(/\\n/g, '\n');
+    if (phrase) {
+      commands.push({ phrase, replacement, scratch: replacement === '{scratch}' });
+    }
+  }
+  return commands;
+}
+
+// Replace spoken commands in dictated text with the Markdown they stand for.
+// Returns the edited text and whether a scratch command asked to delete text
+// from before the start of this text.
+function applyCommands(text, commands) {
+  if (!commands.length) {
+    return { text, scratchPrevious: false };
+  }
+  const byPhrase = new Map(commands.map((command) => [command.phrase, command]));
+  const alternatives = [...byPhrase.keys()].sort((a, b) => b.length - a.length).map((phrase) => phrase.split(' ').map(escapeRegExp).join('[\\s,]+'));
+  // Whisper usually punctuates around a command word, so that is consumed too
+  const pattern = new RegExp(`[\\s,]*(?<![\\p{L}\\p{N}'])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}'])[,.;:!?]?`, 'giu');
+  let output = '';
+  let capitalize = false;
+  let scratchPrevious = false;
+  const appendText = (piece) => {
+    piece = piece.trim();
+    if (!piece) {
+      return;
+    }
+    if (capitalize) {
+      piece = piece[0].toUpperCase() + piece.slice(1);
+      capitalize = false;
+    }
+    output += (output && !/\s$/.test(output) ? ' ' : '') + piece;
+  };
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    appendText(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const command = byPhrase.get(normalizePhrase(match[0]));
+    if (command.scratch) {
+      if (!output.trimEnd().replace(/[.!?]$/, '')) {
+        scratchPrevious = true;
+      }
+      output = dropLastSentence(output);
+      continue;
+    }
+    const replacement = command.replacement;
+    if (/^[.,;:!?]/.test(replacement)) {
+      output = output.replace(/[\s.,;:!?]+$/, '');
+    } else if (replacement.startsWith('\n')) {
+      output = output.replace(/[ \t,]+$/, '');
+    }
+    output += replacement;
+    capitalize = /[\n.!?]$/.test(replacement) || replacement.startsWith('\n');
+  }
+  appendText(text.slice(last));
+  return { text: output, scratchPrevious };
+}
+
+// Remove the last sentence of text, keeping everything up to the end of the
+// sentence or line before it.
+function dropLastSentence(text) {
+  const body = text.trimEnd().replace(/[.!?]$/, '');
+  const boundary = Math.max(body.lastIndexOf('.'), body.lastIndexOf('!'), body.lastIndexOf('?'), body.lastIndexOf('\n'));
+  return boundary >= 0 ? body.slice(0, boundary + 1) : '';
+}
+
+// Compile replacement entries of the form
+// { find, replace, regex, caseSensitive, wholeWord } into regular expressions.
+// Entries with an empty or invalid pattern are skipped.
+function compileReplacements(entries) {
+  const compiled = [];
+  for (const entry of entries) {
+    if (!entry.find) {
+      continue;
+    }
+    let source = entry.regex ? entry.find : escapeRegExp(entry.find);
+    if (entry.wholeWord) {
+      source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+    }
+    try {
+      compiled.push({
+        pattern: new RegExp(source, entry.caseSensitive ? 'gu' : 'giu'),
+        replace: entry.regex ? entry.replace : entry.replace.replace(/\$/g, '$$$$'),
+      });
+    } catch (error) {}
+  }
+  return compiled;
+}
+
+function applyReplacements(text, compiled) {
+  return compiled.reduce((result, replacement) => result.replace(replacement.pattern, replacement.replace), text);
+}
+
+// Join timed segments into text, starting a new paragraph wherever the gap
+// between two segments is at least pauseSeconds.  A pause of 0 never breaks.
+function joinSegments(segments, pauseSeconds) {
+  return segments
+    .map((segment, index) => {
+      if (index === 0) {
+        return segment.text;
+      }
+      const gap = segment.start - segments[index - 1].end;
+      return (pauseSeconds && gap >= pauseSeconds ? '\n\n' : ' ') + segment.text;
+    })
+    .join('');
+}
+
+function lowercaseFirstWord(text) {
+  const match = text.match(/^\p{Lu}[\p{L}'’]*/u);
+  // Keep "I", "I'm" and acronyms
+  if (!match || /^I(?:['’]|$)/.test(match[0]) || (match[0].length > 1 && match[0] === match[0].toUpperCase())) {
+    return text;
+  }
+  return text[0].toLowerCase() + text.slice(1);
+}
+
+// Join the text transcribed from a chunk to the text before it.  Whisper
+// treats each chunk as complete, so a sentence split at a seam gets a capital
+// after the seam, and often a period before it.  Returns the previous text,
+// which may lose that period, the separator, and the new text.
+function joinSeam(previousText, text, gapSeconds, pauseSeconds) {
+  if (!previousText) {
+    return { previous: previousText, separator: '', text };
+  }
+  if (pauseSeconds && gapSeconds >= pauseSeconds) {
+    return { previous: previousText, separator: '\n\n', text };
+  }
+  const firstWord = normalizeWord(splitWords(text)[0] || '');
+  if (/[\p{L}\p{N},;:]$/u.test(previousText)) {
+    return { previous: previousText, separator: ' ', text: lowercaseFirstWord(text) };
+  }
+  const spuriousPeriod = /[^.]\.$/.test(previousText) && !ABBREVIATIONS.test(previousText) && gapSeconds < SEAM_GAP_SECONDS;
+  if (spuriousPeriod && (/^\p{Ll}/u.test(text) || CONTINUATION_WORDS.has(firstWord))) {
+    return { previous: previousText.slice(0, -1), separator: ' ', text: lowercaseFirstWord(text) };
+  }
+  return { previous: previousText, separator: ' ', text };
+}
+
+// Remove the words at the start of text that repeat the end of previousText.
+// Consecutive chunks share some audio, so the same words are usually
+// transcribed twice; the first word of text may also be a fragment of a word
+// cut off at the start of the shared audio.
+function mergeOverlap(previousText, text, maxWords) {
+  const prev = splitWords(previousText).map(normalizeWord);
+  const words = splitWords(text);
+  const next = words.map(normalizeWord);
+  let bestLength = 0;
+  let bestDrop = 0;
+  for (let skip = 0; skip <= 1; skip++) {
+    const limit = Math.min(prev.length, next.length - skip, maxWords);
+    for (let length = limit; length > bestLength; length--) {
+      let matches = true;
+      for (let i = 0; i < length && matches; i++) {
+        matches = prev[prev.length - length + i] === next[skip + i] && next[skip + i] !== '';
+      }
+      if (matches) {
+        bestLength = length;
+        bestDrop = skip + length;
+        break;
+      }
+    }
+  }
+  if (!bestDrop) {
+    return text;
+  }
+  return words.slice(bestDrop).join(' ');
+}
+
+// Remove count words from the start of a list of timed segments, dropping any
+// segment left without text.
+function dropLeadingWords(segments, count) {
+  const result = [];
+  for (const segment of segments) {
+    const words = splitWords(segment.text);
+    const dropped = Math.min(count, words.length);
+    count -= dropped;
+    if (dropped < words.length) {
+      result.push(Object.assign({}, segment, { text: words.slice(dropped).join(' ') }));
+    }
+  }
+  return result;
+}
+
+// Group recognized tokens into words, each as confident as its least
+// confident token.  Tokens that start with a space begin a new word, and
+// punctuation doesn't count towards confidence.
+function tokenWords(tokens) {
+  const words = [];
+  for (const token of tokens) {
+    if (!words.length || /^\s/.test(token.text)) {
+      words.push({ text: '', probability: 1 });
+    }
+    const word = words[words.length - 1];
+    word.text += token.text;
+    if (normalizeWord(token.text) && typeof token.probability === 'number') {
+      word.probability = Math.min(word.probability, token.probability);
+    }
+  }
+  return words.map((word) => ({ word: normalizeWord(word.text), probability: word.probability }));
+}
+
+function splitMarker(format) {
+  const index = format.indexOf('{word}');
+  return index < 0 ? null : [format.slice(0, index), format.slice(index + '{word}'.length)];
+}
+
+// Wrap the words of text that were recognized with a probability below
+// threshold using format, where {word} stands for the word.  Words are
+// matched to the tokens in order, so text edited after recognition, such as
+// by replacements or spoken commands, keeps the markers it can.
+function markLowConfidence(text, tokens, threshold, format) {
+  const marker = splitMarker(format);
+  const words = tokenWords(tokens);
+  if (!marker || !words.length) {
+    return text;
+  }
+  let next = 0;
+  return text.replace(/\S+/g, (raw) => {
+    const word = normalizeWord(raw);
+    if (!word) {
+      return raw;
+    }
+    const limit = Math.min(words.length, next + CONFIDENCE_LOOKAHEAD);
+    for (let index = next; index < limit; index++) {
+      if (words[index].word === word) {
+        next = index + 1;
+        if (words[index].probability >= threshold) {
+          return raw;
+        }
+        const [, before, core, after] = raw.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+        return before + marker[0] + core + marker[1] + after;
+      }
+    }
+    return raw;
+  });
+}
+
+// Find the low-confidence markers in text, as { from, to } offsets of each
+// opening and closing marker, so they can be deleted without touching the
+// words between them.
+function findLowConfidenceMarkers(text, format) {
+  const marker = splitMarker(format);
+  if (!marker || !(marker[0] + marker[1])) {
+    return [];
+  }
+  const spans = [];
+  for (const match of text.matchAll(new RegExp(escapeRegExp(marker[0]) + '(.*?)' + escapeRegExp(marker[1]), 'g'))) {
+    const close = match.index + match[0].length - marker[1].length;
+    spans.push({ from: match.index, to: match.index + marker[0].length }, { from: close, to: close + marker[1].length });
+  }
+  return spans;
+}
+
+// Find where to append to the section under a Markdown heading line: the end
+// of the section's last non-blank line, before the next heading of the same
+// or a higher level.  Returns -1 if the note has no such heading.
+function findSectionEnd(text, heading) {
+  const level = (heading.trim().match(/^#+/) || [''])[0].length;
+  const lines = text.split('\n');
+  let offset = 0;
+  let start = -1;
+  let end = text.length;
+  for (const line of lines) {
+    if (start < 0 && line.trim() === heading.trim()) {
+      start = offset + line.length;
+    } else if (start >= 0) {
+      const match = line.match(/^(#+)\s/);
+      if (match && match[1].length <= level) {
+        end = offset;
+        break;
+      }
+    }
+    offset += line.length + 1;
+  }
+  if (start < 0) {
+    return -1;
+  }
+  return start + text.slice(start, end).trimEnd().length;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatClock(seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  return `${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+}
+
+function formatSubtitleTime(seconds, separator) {
+  const millis = Math.max(0, Math.round(seconds * 1000));
+  return `${formatClock(millis / 1000)}${separator}${pad(millis % 1000, 3)}`;
+}
+
+function formatTimestamped(segments) {
+  return segments.map((segment) => `[${formatClock(segment.start)}] ${segment.text}`).join('\n');
+}
+
+function formatSrt(segments) {
+  return segments.map((segment, index) => `${index + 1}\n${formatSubtitleTime(segment.start, ',')} --> ${formatSubtitleTime(segment.end, ',')}\n${segment.text}\n`).join('\n');
+}
+
+function formatVtt(segments) {
+  const cues = segments.map((segment) => `${formatSubtitleTime(segment.start, '.')} --> ${formatSubtitleTime(segment.end, '.')}\n${segment.text}\n`);
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+module.exports = { splitWords, parseFilters, filterSegments, parseCommands, applyCommands, dropLastSentence, compileReplacements, applyReplacements, mergeOverlap, dropLeadingWords, joinSegments, joinSeam, markLowConfidence, findLowConfidenceMarkers, findSectionEnd, formatClock, formatTimestamped, formatSrt, formatVtt };
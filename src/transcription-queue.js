@@ -0,0 +1,70 @@
+// Runs transcription jobs with at most `concurrency` of them at a time, in
+// the order they were added.  Each job is given an AbortSignal that is
+// aborted when the job is cancelled or runs past `timeoutMs`, so the engine
+// can kill the process working on it; the job's promise rejects straight
+// away either way, even if the engine can't be interrupted.
+class TranscriptionQueue {
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.concurrency = 1;
+    this.timeoutMs = 0;
+    this.pending = [];
+    this.running = new Set();
+  }
+
+  get size() {
+    return this.pending.length + this.running.size;
+  }
+
+  // The job's run(signal) returns a promise for its result.  Until it
+  // starts, a job can still be changed through lastPending().
+  add(job) {
+    return new Promise((resolve, reject) => {
+      this.pending.push(Object.assign(job, { resolve, reject }));
+      this.next();
+    });
+  }
+
+  lastPending() {
+    return this.pending[this.pending.length - 1] || null;
+  }
+
+  next() {
+    while (this.running.size < this.concurrency && this.pending.length) {
+      this.start(this.pending.shift());
+    }
+    this.onChange();
+  }
+
+  start(job) {
+    const controller = new AbortController();
+    job.controller = controller;
+    this.running.add(job);
+    const timer = this.timeoutMs > 0 ? setTimeout(() => controller.abort(jobError(`${job.label} timed out after ${Math.round(this.timeoutMs / 1000)}s`, 'timedOut')), this.timeoutMs) : null;
+    const aborted = new Promise((resolve, reject) => controller.signal.addEventListener('abort', () => reject(controller.signal.reason)));
+    Promise.resolve()
+      .then(() => (controller.signal.aborted ? aborted : Promise.race([job.run(controller.signal), aborted])))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        clearTimeout(timer);
+        this.running.delete(job);
+        this.next();
+      });
+  }
+
+  cancelAll() {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach((job) => job.reject(jobError(`${job.label} cancelled`, 'cancelled')));
+    this.running.forEach((job) => job.controller.abort(jobError(`${job.label} cancelled`, 'cancelled')));
+    this.onChange();
+  }
+}
+
+function jobError(message, flag) {
+  const error = new Error(message);
+  error[flag] = true;
+  return error;
+}
+
+module.exports = { TranscriptionQueue };
@@ -0,0 +1,50 @@
+// Energy based voice activity detection.  The noise floor follows the
+// quietest recent frames (falling immediately, rising slowly), and a frame is
+// speech when it is sufficiently louder than that floor.
+const MIN_SPEECH_RMS = 0.005;
+const SPEECH_RATIO = 3;
+const FLOOR_RISE = 1.002;
+// A floor of zero, from digital silence, could never rise again
+const MIN_NOISE_FLOOR = 0.0002;
+
+class VoiceActivityDetector {
+  constructor() {
+    this.noiseFloor = null;
+    this.resetChunk();
+  }
+
+  resetChunk() {
+    this.speechMs = 0;
+    this.silenceMs = 0;
+  }
+
+  process(samples, frameMs) {
+    if (!samples.length) {
+      return false;
+    }
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sum / samples.length);
+    if (this.noiseFloor === null || rms < this.noiseFloor) {
+      this.noiseFloor = Math.max(rms, MIN_NOISE_FLOOR);
+    } else {
+      this.noiseFloor *= FLOOR_RISE;
+    }
+    const isSpeech = rms > MIN_SPEECH_RMS && rms > this.noiseFloor * SPEECH_RATIO;
+    if (isSpeech) {
+      this.speechMs += frameMs;
+      this.silenceMs = 0;
+    } else {
+      this.silenceMs += frameMs;
+    }
+    return isSpeech;
+  }
+
+  hasSpeech() {
+    return this.speechMs > 0;
+  }
+}
+
+module.exports = { VoiceActivityDetector };
@@ -0,0 +1,24 @@
+// Shared by the unit tests: each check prints PASS or FAIL, and finish exits
+// with an error if any of them failed.
+let failures = 0;
+
+function check(name, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log('PASS: ' + name);
+  } else {
+    console.error('FAIL: ' + name);
+    console.error('  Expected: ' + JSON.stringify(expected));
+    console.error('  Actual:   ' + JSON.stringify(actual));
+    failures++;
+  }
+}
+
+function finish(suite) {
+  if (failures) {
+    console.error(failures + ' ' + suite + ' test(s) failed');
+    process.exit(1);
+  }
+  console.log('All ' + suite + ' tests passed');
+}
+
+module.exports = { check, finish };
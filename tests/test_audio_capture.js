@@ -0,0 +1,44 @@
+const { AudioCapture } = require('../src/audio-capture.js');
+const { check, finish } = require('./check.js');
+
+function samples(from, to) {
+  return Float32Array.from({ length: to - from }, (value, i) => from + i);
+}
+
+function read(capture, start, end) {
+  return Array.from(capture.read(start, end));
+}
+
+function testRingBuffer() {
+  const capture = new AudioCapture(null);
+  capture.buffer = new Float32Array(8);
+  capture.write(samples(0, 5));
+  check('Reads written samples', read(capture, 1, 4), [1, 2, 3]);
+  check('Read stops at the written position', read(capture, 3, 10), [3, 4]);
+  capture.write(samples(5, 11));
+  check('Counts samples written across the wrap', capture.written, 11);
+  check('Reads across the wraparound', read(capture, 5, 11), [5, 6, 7, 8, 9, 10]);
+  check('Reads the whole buffer after wrapping', read(capture, 3, 11), [3, 4, 5, 6, 7, 8, 9, 10]);
+  check('Drops samples that were overwritten', read(capture, 0, 6), [3, 4, 5]);
+  capture.write(samples(11, 31));
+  check('Write longer than the buffer keeps the newest samples', read(capture, 0, 31), [23, 24, 25, 26, 27, 28, 29, 30]);
+  check('Empty range reads nothing', read(capture, 30, 30), []);
+}
+
+function testResampling() {
+  const frames = [];
+  const capture = new AudioCapture(null, (frame) => frames.push(frame.length));
+  capture.context = { sampleRate: 48000 };
+  capture.receive(samples(0, 10));
+  capture.receive(samples(10, 20));
+  check('Resamples across frame boundaries', read(capture, 0, capture.written), [0, 3, 6, 9, 12, 15, 18]);
+  check('Passes resampled frames on', frames, [4, 3]);
+  capture.context = { sampleRate: 16000 };
+  capture.receive(samples(0, 3));
+  check('Keeps audio already at 16 kHz', capture.written, 10);
+}
+
+testRingBuffer();
+testResampling();
+
+finish('audio capture');
@@ -31,6 +31,9 @@ async function run() {
     manifest: {
       dir: pluginRelativeDir,
     },
+    settings: {
+      persistentEngine: true,
+    },
   };
 
   const modelId = 'Xenova/whisper-tiny.en';
@@ -82,6 +85,51 @@ async function run() {
 
   console.log('PASS: Desktop transcription matched expected phrase');
 
+  if (!result.segments || !result.segments.length || result.segments.some((segment) => !(segment.end >= segment.start))) {
+    console.error('Transcription did not return timed segments');
+    process.exit(1);
+  }
+  console.log('PASS: Desktop transcription returned timed segments');
+
+  const tokens = result.segments.flatMap((segment) => segment.tokens);
+  if (!tokens.length || tokens.some((token) => typeof token.probability !== 'number')) {
+    console.error('Transcription did not return tokens with probabilities');
+    process.exit(1);
+  }
+  console.log('PASS: Desktop transcription returned tokens with probabilities');
+
+  // Test running whisper-cli per chunk without the server
+  const cliTranscriber = new DesktopTranscriber(Object.assign({}, mockPlugin, { settings: { persistentEngine: false } }));
+  await cliTranscriber.initialize(modelId, () => {});
+  if (cliTranscriber.serverPath) {
+    console.error('Server used with persistentEngine off');
+    process.exit(1);
+  }
+  const cliResult = await cliTranscriber.transcribe(audioData);
+  const cliText = (cliResult.text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, '');
+  if (!cliText.includes(EXPECTED_PHRASE)) {
+    console.error('whisper-cli transcription did not contain expected phrase: ' + cliText);
+    process.exit(1);
+  }
+  console.log('PASS: whisper-cli transcription matched expected phrase');
+
+  // Test that a shut down transcriber doesn't start the server again
+  await transcriber.shutdown();
+  let shutdownError = null;
+  try {
+    await transcriber.transcribe(audioData);
+  } catch (error) {
+    shutdownError = error;
+  }
+  if (!shutdownError || transcriber.server) {
+    console.error('Transcriber still usable after shutdown');
+    process.exit(1);
+  }
+  console.log('PASS: Transcriber refuses work after shutdown');
+
   // Test cache detection
   const isCached = transcriber.isModelCached(modelId);
   if (!isCached) {
@@ -91,7 +139,7 @@ async function run() {
   console.log('PASS: Model cache detection works');
 
   // Test cache clearing
-  transcriber.clearCache();
+  await transcriber.clearCache();
   const isCachedAfterClear = transcriber.isModelCached(modelId);
   if (isCachedAfterClear) {
     console.error('isModelCached returned true after clearCache');
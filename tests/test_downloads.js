@@ -0,0 +1,165 @@
+globalThis.require = require;
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const { downloadFile, downloadPart, verifyFile } = require('../src/desktop-transcriber.js');
+const { check, finish } = require('./check.js');
+
+const CONTENT = crypto.randomBytes(64 * 1024);
+const SHA256 = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const SHA1 = crypto.createHash('sha1').update(CONTENT).digest('hex');
+
+let tempDir;
+let baseUrl;
+const requests = [];
+
+async function errorOf(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Serves CONTENT with Range support.  /cut sends half the file and drops the
+// connection the first time, /wrong-range answers a range from the start,
+// /redirect leads to /file and /missing is a 404.
+let cutOnce = true;
+function handle(request, response) {
+  requests.push({ url: request.url, range: request.headers.range || null });
+  if (request.url === '/cut') {
+    const partPath = target('cut.bin.part');
+    requests[requests.length - 1].saved = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  }
+  if (request.url === '/redirect') {
+    response.writeHead(302, { Location: '/file' });
+    response.end();
+    return;
+  }
+  if (request.url === '/missing') {
+    response.writeHead(404);
+    response.end();
+    return;
+  }
+  const range = /^bytes=(\d+)-$/.exec(request.headers.range || '');
+  if (range && request.url !== '/wrong-range') {
+    const start = Number(range[1]);
+    if (start >= CONTENT.length) {
+      response.writeHead(416, { 'Content-Range': `bytes */${CONTENT.length}` });
+      response.end();
+      return;
+    }
+    response.writeHead(206, { 'Content-Range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`, 'Content-Length': CONTENT.length - start });
+    response.end(CONTENT.subarray(start));
+    return;
+  }
+  if (range) {
+    response.writeHead(206, { 'Content-Range': `bytes 0-${CONTENT.length - 1}/${CONTENT.length}`, 'Content-Length': CONTENT.length });
+    response.end(CONTENT);
+    return;
+  }
+  response.writeHead(200, { 'Content-Length': CONTENT.length });
+  if (request.url === '/cut' && cutOnce) {
+    cutOnce = false;
+    // Give the client time to save what it received before the connection drops
+    response.write(CONTENT.subarray(0, CONTENT.length / 2), () => setTimeout(() => response.destroy(), 100));
+    return;
+  }
+  response.end(CONTENT);
+}
+
+function target(name) {
+  return path.join(tempDir, name);
+}
+
+async function testDownload() {
+  const destPath = target('full.bin');
+  let progress = null;
+  await downloadFile(baseUrl + '/redirect', destPath, (loaded, total) => (progress = [loaded, total]), { size: CONTENT.length, sha256: SHA256 });
+  check('Download over http follows redirects', fs.readFileSync(destPath).equals(CONTENT), true);
+  check('Download reports progress', progress, [CONTENT.length, CONTENT.length]);
+  check('Download leaves no part file', fs.existsSync(destPath + '.part'), false);
+}
+
+async function testResume() {
+  const partPath = target('resume.bin.part');
+  fs.writeFileSync(partPath, CONTENT.subarray(0, 1000));
+  requests.length = 0;
+  await downloadPart(baseUrl + '/file', partPath, null, CONTENT.length);
+  check('Resume asks for the rest of the file', requests[0].range, 'bytes=1000-');
+  check('Resume appends the rest of the file', fs.readFileSync(partPath).equals(CONTENT), true);
+
+  requests.length = 0;
+  await downloadPart(baseUrl + '/file', partPath, null, CONTENT.length);
+  check('A complete part file with a known size is not fetched again', requests.length, 0);
+
+  await downloadPart(baseUrl + '/file', partPath, null, null);
+  check('A 416 for a complete part file is accepted', [requests[0].range, fs.statSync(partPath).size], [`bytes=${CONTENT.length}-`, CONTENT.length]);
+
+  const wrongPath = target('wrong.bin.part');
+  fs.writeFileSync(wrongPath, CONTENT.subarray(0, 1000));
+  check('A resume at the wrong position fails', await errorOf(downloadPart(baseUrl + '/wrong-range', wrongPath, null, CONTENT.length)), 'Server resumed the download at the wrong position');
+  check('A resume at the wrong position discards the part file', fs.existsSync(wrongPath), false);
+
+  const destPath = target('cut.bin');
+  requests.length = 0;
+  await downloadFile(baseUrl + '/cut', destPath, null, { size: CONTENT.length, sha256: SHA256 });
+  const saved = requests[1].saved;
+  check('An interrupted download keeps what it received', saved > 0, true);
+  check('An interrupted download resumes where it stopped', requests[1].range, `bytes=${saved}-`);
+  check('An interrupted download completes', fs.readFileSync(destPath).equals(CONTENT), true);
+}
+
+async function testVerify() {
+  const filePath = target('verify.bin');
+  fs.writeFileSync(filePath, CONTENT);
+  check('Verify accepts the expected size and SHA-256', await errorOf(verifyFile(filePath, { size: CONTENT.length, sha256: SHA256 })), null);
+  check('Verify accepts a file with nothing published', await errorOf(verifyFile(filePath, {})), null);
+  check('Verify rejects a size mismatch', await errorOf(verifyFile(filePath, { size: CONTENT.length + 1 })), `Downloaded file is ${CONTENT.length} bytes, expected ${CONTENT.length + 1}`);
+  check('Verify rejects a SHA-256 mismatch', /SHA-256/.test(await errorOf(verifyFile(filePath, { size: CONTENT.length, sha256: '0'.repeat(64) }))), true);
+
+  const destPath = target('corrupt.bin');
+  check('Download rejects a SHA-256 mismatch', /SHA-256/.test(await errorOf(downloadFile(baseUrl + '/file', destPath, null, { sha256: '0'.repeat(64) }))), true);
+  check('A corrupt download is removed', [fs.existsSync(destPath), fs.existsSync(destPath + '.part')], [false, false]);
+  check('Download rejects a size mismatch', /expected 10$/.test(await errorOf(downloadFile(baseUrl + '/file', destPath, null, { size: 10 }))), true);
+  check('A download of the wrong size is removed', [fs.existsSync(destPath), fs.existsSync(destPath + '.part')], [false, false]);
+
+  requests.length = 0;
+  check('Verify accepts the expected SHA-1', await errorOf(verifyFile(filePath, { sha1: SHA1 })), null);
+  check('Verify rejects a SHA-1 mismatch', /SHA-1/.test(await errorOf(verifyFile(filePath, { sha1: '0'.repeat(40) }))), true);
+
+  const invalid = () => {
+    throw new Error('not a model');
+  };
+  check('Download rejects a file that fails validation', await errorOf(downloadFile(baseUrl + '/file', destPath, null, {}, invalid)), 'not a model');
+  check('A file that fails validation is removed', [fs.existsSync(destPath), fs.existsSync(destPath + '.part')], [false, false]);
+
+  requests.length = 0;
+  check('A 404 fails', await errorOf(downloadFile(baseUrl + '/missing', target('missing.bin'))), 'HTTP 404');
+  check('A 404 is not retried', requests.length, 1);
+}
+
+async function run() {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-download-test-'));
+  const server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await testDownload();
+    await testResume();
+    await testVerify();
+  } finally {
+    server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+  finish('download');
+}
+
+run().catch((error) => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
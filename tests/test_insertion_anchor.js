@@ -0,0 +1,97 @@
+const Module = require('module');
+const { EditorState } = require('@codemirror/state');
+
+// The anchor only needs editorInfoField from Obsidian, to tell which note an
+// editor update belongs to
+const editorInfoField = {};
+const load = Module._load;
+Module._load = function (request, ...args) {
+  return request === 'obsidian' ? { editorInfoField } : load.call(this, request, ...args);
+};
+const { InsertionAnchor } = require('../src/insertion-anchor.js');
+const { check, finish } = require('./check.js');
+
+// An editor update like the ones CodeMirror passes to an update listener
+function edit(state, changes, path = 'Note.md') {
+  const transaction = state.update({ changes });
+  const info = { file: { path } };
+  return {
+    update: { docChanged: transaction.docChanged, changes: transaction.changes, state: { doc: transaction.state.doc, field: (field) => (field === editorInfoField ? info : undefined) } },
+    state: transaction.state,
+  };
+}
+
+function ranges(anchor) {
+  return anchor.ranges.map((range) => `${range.from}-${range.to}`);
+}
+
+function testAdvance() {
+  const anchor = new InsertionAnchor('Note.md', 5);
+  anchor.advance(3);
+  check('Advance moves the anchor past the insertion', anchor.offset, 8);
+  check('Advance records the inserted range', ranges(anchor), ['5-8']);
+  anchor.advance(2);
+  check('Consecutive insertions make one range', ranges(anchor), ['5-10']);
+  anchor.advance(0);
+  check('Empty insertions are not recorded', ranges(anchor), ['5-10']);
+}
+
+function testAddRange() {
+  const anchor = new InsertionAnchor('Note.md', 0);
+  anchor.addRange(10, 12);
+  anchor.addRange(0, 4);
+  check('Ranges are kept in order', ranges(anchor), ['0-4', '10-12']);
+  anchor.addRange(3, 10);
+  check('Overlapping and touching ranges merge', ranges(anchor), ['0-12']);
+  anchor.addRange(5, 5);
+  check('Empty ranges are ignored', ranges(anchor), ['0-12']);
+}
+
+function testMap() {
+  let state = EditorState.create({ doc: 'Intro. Transcript text' });
+  const anchor = new InsertionAnchor('Note.md', 7);
+  anchor.advance(15);
+  let result = edit(state, { from: 0, insert: 'New ' });
+  anchor.map(result.update);
+  state = result.state;
+  check('Typing before the anchor moves it', anchor.offset, 26);
+  check('Typing before a range moves it', ranges(anchor), ['11-26']);
+  result = edit(state, { from: 26, insert: '!' });
+  anchor.map(result.update);
+  state = result.state;
+  check('Text typed at the anchor goes after it', anchor.offset, 26);
+  check('Ranges do not grow at their edges', ranges(anchor), ['11-26']);
+  result = edit(state, { from: 22, insert: 'XY' });
+  anchor.map(result.update);
+  check('Typing inside a range splits it', ranges(anchor), ['11-22', '24-28']);
+  anchor.map(result.update);
+  check('An update for a document already mapped is skipped', anchor.offset, 28);
+  anchor.map(edit(result.state, { from: 0, insert: 'Other ' }, 'Other.md').update);
+  check('Updates to other notes are ignored', anchor.offset, 28);
+  result = edit(result.state, { from: 11, to: 24 });
+  anchor.map(result.update);
+  check('Deleted text drops out of the ranges', ranges(anchor), ['11-15']);
+  check('Deleting before the anchor moves it back', anchor.offset, 15);
+}
+
+function testRecordEdit() {
+  const anchor = new InsertionAnchor('Note.md', 10);
+  anchor.advance(10);
+  anchor.removed = [{ pos: 25, text: 'gone' }];
+  anchor.recordEdit(0, 2, 5);
+  check('An edit before the anchor moves it', anchor.offset, 23);
+  check('An edit before a range moves it', ranges(anchor), ['13-23']);
+  check('An edit moves removed text positions', anchor.removed, [{ pos: 28, text: 'gone' }]);
+  anchor.recordEdit(13, 23, 0);
+  check('Deleting a whole range removes it', ranges(anchor), []);
+  check('Deleting up to the anchor moves it to the deletion', anchor.offset, 13);
+  anchor.recordEdit(20, 21, 3);
+  check('An edit after the anchor leaves it', anchor.offset, 13);
+}
+
+testAdvance();
+testAddRange();
+testMap();
+testRecordEdit();
+
+finish('insertion anchor');
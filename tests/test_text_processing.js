@@ -0,0 +1,166 @@
+const textProcessing = require('../src/text-processing.js');
+const { check, finish } = require('./check.js');
+
+function testMergeOverlap() {
+  const { mergeOverlap } = textProcessing;
+  check('Overlap removes repeated words', mergeOverlap('This is a test of the', 'of the overlap handling.', 6), 'overlap handling.');
+  check('Overlap ignores case and punctuation', mergeOverlap('We went to the store.', 'The store was closed.', 6), 'was closed.');
+  check('Overlap drops a leading fragment', mergeOverlap('the quick brown fox', 'own fox jumps over', 6), 'jumps over');
+  check('Overlap keeps text with no repeated words', mergeOverlap('Hello there.', 'General Kenobi.', 6), 'General Kenobi.');
+  check('Overlap limits how many words can repeat', mergeOverlap('one two three four', 'one two three four five', 2), 'one two three four five');
+}
+
+function testSegments() {
+  const { dropLeadingWords } = textProcessing;
+  const segments = [
+    { start: 0, end: 1, text: 'of the' },
+    { start: 1, end: 3, text: 'overlap handling.' },
+  ];
+  check('Dropping words removes emptied segments', dropLeadingWords(segments, 2), [{ start: 1, end: 3, text: 'overlap handling.' }]);
+  check('Dropping words trims a segment', dropLeadingWords(segments, 3), [{ start: 1, end: 3, text: 'handling.' }]);
+  check('Dropping no words keeps segments', dropLeadingWords(segments, 0), segments);
+}
+
+function testSubtitles() {
+  const { formatClock, formatTimestamped, formatSrt, formatVtt } = textProcessing;
+  const segments = [
+    { start: 1.5, end: 3.25, text: 'Hello there.' },
+    { start: 3661, end: 3662.001, text: 'An hour later.' },
+  ];
+  check('Clock format', formatClock(3723.9), '01:02:03');
+  check('Timestamped text', formatTimestamped(segments), '[00:00:01] Hello there.\n[01:01:01] An hour later.');
+  check('SRT format', formatSrt(segments), '1\n00:00:01,500 --> 00:00:03,250\nHello there.\n\n2\n01:01:01,000 --> 01:01:02,001\nAn hour later.\n');
+  check('WebVTT format', formatVtt(segments), 'WEBVTT\n\n00:00:01.500 --> 00:00:03.250\nHello there.\n\n01:01:01.000 --> 01:01:02.001\nAn hour later.\n');
+}
+
+function testHallucinationFilter() {
+  const { parseFilters, filterSegments } = textProcessing;
+  const filters = parseFilters('you\nThank you for watching.\n/\\[BLANK_AUDIO\\]/\n/(unclosed/');
+  check('Filters parse phrases and skip invalid expressions', filters.length, 3);
+  const filter = (texts, options) =>
+    filterSegments(
+      texts.map((text, index) => ({ start: index, end: index + 1, text })),
+      filters,
+      options
+    );
+  const defaults = { keepSoundTags: false, removeRepeats: true };
+  check('Phrase filter drops a whole segment', filter(['Thank you for watching!'], defaults).segments, []);
+  check('Phrase filter keeps a sentence in a longer segment', filter(['Who left the door open? You.'], defaults).segments[0].text, 'Who left the door open? You.');
+  check('Phrase filter keeps a longer sentence', filter(['I said thank you for watching it.'], defaults).segments[0].text, 'I said thank you for watching it.');
+  check('Phrase filter applies after sound tags are removed', filter(['[music] Thank you for watching.'], defaults).segments, []);
+  check('Phrase filter drops a lone segment', filter(['You.'], defaults).segments, []);
+  check('Regex filter removes matches', filter(['[BLANK_AUDIO] Hello'], { keepSoundTags: true, removeRepeats: true }).segments[0].text, 'Hello');
+  check('Sound tags are removed', filter(['Hello [laughter] there'], defaults).segments[0].text, 'Hello there');
+  check('Sound tags can be kept', filter(['Hello [laughter] there'], { keepSoundTags: true, removeRepeats: true }).segments[0].text, 'Hello [laughter] there');
+  check('Repeated phrases collapse', filter(['I think so. I think so. I think so. I think so. I think so.'], defaults).segments[0].text, 'I think so.');
+  check('Short repeats are kept', filter(['no no no'], defaults).segments[0].text, 'no no no');
+  check(
+    'Repeated segments collapse',
+    filter(['Okay.', 'Okay.', 'Okay.', 'Okay.', 'Next.'], defaults).segments.map((segment) => segment.text),
+    ['Okay.', 'Next.']
+  );
+  check('Repeats can be kept', filter(['Okay.', 'Okay.', 'Okay.', 'Okay.'], { keepSoundTags: false, removeRepeats: false }).segments.length, 4);
+  check('Dropped text is reported', filter(['Hello [music]'], defaults).dropped, ['[music]']);
+}
+
+function testSpokenCommands() {
+  const { parseCommands, applyCommands, dropLastSentence } = textProcessing;
+  const commands = parseCommands('new line = \\n\nnew paragraph = \\n\\n\nperiod = .\nbullet point = \\n-\nheading two = \\n##\nscratch that = {scratch}\nnot a command');
+  check('Commands parse escapes and skip other lines', commands.length, 6);
+  const apply = (text) => applyCommands(text, commands);
+  check('Punctuation command attaches to the previous word', apply('Hello there period how are you'), { text: 'Hello there. How are you', scratchPrevious: false });
+  check('Line break command replaces Whisper punctuation', apply('Buy milk, new line. Buy eggs.').text, 'Buy milk\nBuy eggs.');
+  check('Bullet command starts a list item', apply('Items, bullet point, apples, bullet point, pears.').text, 'Items\n- Apples\n- Pears.');
+  check('Heading and paragraph commands', apply('Intro heading two. Methods new paragraph we did').text, 'Intro\n## Methods\n\nWe did');
+  check('Scratch removes the previous sentence', apply('Hello there. This is wrong, scratch that. Fine.').text, 'Hello there. Fine.');
+  check('Scratch at the start reaches the previous text', apply('Scratch that.'), { text: '', scratchPrevious: true });
+  check('Scratch at the start of a chunk keeps the rest of it', apply('Scratch that. Next part.'), { text: 'Next part.', scratchPrevious: true });
+  check('Scratch across chunks removes only the last sentence', dropLastSentence('First point. Second point. '), 'First point.');
+  check('Scratch across chunks stops at a line break', dropLastSentence('- Apples\n- Pears '), '- Apples\n');
+  check('Scratch across chunks can remove a single sentence', dropLastSentence('Only this. '), '');
+  check('Command words inside other words are kept', apply('Periodic newline checks').text, 'Periodic newline checks');
+  check('No commands leaves text alone', applyCommands('Hello period', []).text, 'Hello period');
+}
+
+function testReplacements() {
+  const { compileReplacements, applyReplacements } = textProcessing;
+  const replacements = compileReplacements([
+    { find: 'obsidian', replace: 'Obsidian', regex: false, caseSensitive: false, wholeWord: true },
+    { find: 'Cooper Netties', replace: 'Kubernetes', regex: false, caseSensitive: false, wholeWord: true },
+    { find: '(\\d+) dollars', replace: '$$$1', regex: true, caseSensitive: false, wholeWord: false },
+    { find: 'Mark', replace: 'Marc', regex: false, caseSensitive: true, wholeWord: true },
+    { find: 'a$b', replace: 'c$1', regex: false, caseSensitive: false, wholeWord: false },
+    { find: '(unclosed', replace: '', regex: true, caseSensitive: false, wholeWord: false },
+  ]);
+  const apply = (text) => applyReplacements(text, replacements);
+  check('Replacements skip invalid expressions', replacements.length, 5);
+  check('Plain replacement ignores case', apply('I use OBSIDIAN daily.'), 'I use Obsidian daily.');
+  check('Whole word replacement skips longer words', apply('obsidianite'), 'obsidianite');
+  check('Plain replacement matches phrases', apply('Deploy on cooper netties.'), 'Deploy on Kubernetes.');
+  check('Regex replacement uses groups', apply('It cost 5 dollars.'), 'It cost $5.');
+  check('Case sensitive replacement', apply('Mark and mark'), 'Marc and mark');
+  check('Plain replacement is literal', apply('a$b'), 'c$1');
+}
+
+function testJoining() {
+  const { joinSegments, joinSeam } = textProcessing;
+  const segments = [
+    { start: 0, end: 2, text: 'First thought.' },
+    { start: 2.2, end: 4, text: 'Still first.' },
+    { start: 8, end: 9, text: 'Second thought.' },
+  ];
+  check('Long pauses start paragraphs', joinSegments(segments, 3), 'First thought. Still first.\n\nSecond thought.');
+  check('Paragraph breaks can be turned off', joinSegments(segments, 0), 'First thought. Still first. Second thought.');
+  check('Seam after a long pause starts a paragraph', joinSeam('Done.', 'Next.', 4, 3), { previous: 'Done.', separator: '\n\n', text: 'Next.' });
+  check('Unfinished sentence continues lowercase', joinSeam('We went to the', 'Store on Monday.', 0, 3), { previous: 'We went to the', separator: ' ', text: 'store on Monday.' });
+  check('Continuation keeps I and acronyms', [joinSeam('and then', "I'm sure", 0, 3).text, joinSeam('we used', 'NASA data', 0, 3).text], ["I'm sure", 'NASA data']);
+  check('Spurious period before a continuation is removed', joinSeam('We went to the shop.', 'And bought milk.', 0.1, 3), { previous: 'We went to the shop', separator: ' ', text: 'and bought milk.' });
+  check('Period before a pause is kept', joinSeam('We went to the shop.', 'And bought milk.', 1, 3).previous, 'We went to the shop.');
+  check('Abbreviations keep their period', joinSeam('I spoke to Dr.', 'and Smith.', 0, 3).previous, 'I spoke to Dr.');
+  check('Complete sentences join with a space', joinSeam('Hello.', 'How are you?', 0, 3), { previous: 'Hello.', separator: ' ', text: 'How are you?' });
+}
+
+function testLowConfidence() {
+  const { markLowConfidence, findLowConfidenceMarkers } = textProcessing;
+  const tokens = [
+    { text: ' The', probability: 0.9 },
+    { text: ' Kub', probability: 0.3 },
+    { text: 'ern', probability: 0.8 },
+    { text: 'etes', probability: 0.9 },
+    { text: ' cluster', probability: 0.95 },
+    { text: ',', probability: 0.1 },
+    { text: ' failed', probability: 0.4 },
+    { text: '.', probability: 0.9 },
+  ];
+  check('Low confidence words are marked', markLowConfidence('The Kubernetes cluster, failed.', tokens, 0.5, '=={word}=='), 'The ==Kubernetes== cluster, ==failed==.');
+  check('Custom markers', markLowConfidence('The Kubernetes cluster, failed.', tokens, 0.35, '<span class="low">{word}</span>'), 'The <span class="low">Kubernetes</span> cluster, failed.');
+  check('Edited text keeps the markers it can', markLowConfidence('the k8s cluster\n- failed', tokens, 0.5, '=={word}=='), 'the k8s cluster\n- ==failed==');
+  check('Text without tokens is unchanged', markLowConfidence('The cluster.', [], 0.5, '=={word}=='), 'The cluster.');
+  const strip = (text, format) => findLowConfidenceMarkers(text, format).reduceRight((result, span) => result.slice(0, span.from) + result.slice(span.to), text);
+  const found = findLowConfidenceMarkers('A ==b== c', '=={word}==').map((span) => `${span.from}-${span.to}`);
+  check('Markers are found', found, ['2-4', '5-7']);
+  check('Markers are stripped', strip('The ==Kubernetes== cluster, ==failed==.', '=={word}=='), 'The Kubernetes cluster, failed.');
+  check('Custom markers are stripped', strip('The <span class="low">Kubernetes</span> cluster.', '<span class="low">{word}</span>'), 'The Kubernetes cluster.');
+  check('A format without markers finds nothing', findLowConfidenceMarkers('The cluster.', '{word}'), []);
+}
+
+function testSectionEnd() {
+  const { findSectionEnd } = textProcessing;
+  const note = '# Day\n\n## Transcripts\n\nFirst.\n\n### Detail\nMore.\n\n## Tasks\n- one\n';
+  check('Section ends before the next heading of its level', findSectionEnd(note, '## Transcripts'), note.indexOf('More.') + 'More.'.length);
+  check('Empty section ends after its heading', findSectionEnd('## Transcripts\n\n## Tasks\n', '## Transcripts'), '## Transcripts'.length);
+  check('Last section ends at the end of the note', findSectionEnd(note, '## Tasks'), note.length - 1);
+  check('Missing heading', findSectionEnd(note, '## Missing'), -1);
+}
+
+testMergeOverlap();
+testSpokenCommands();
+testReplacements();
+testSectionEnd();
+testJoining();
+testLowConfidence();
+testHallucinationFilter();
+testSegments();
+testSubtitles();
+
+finish('text processing');
@@ -0,0 +1,104 @@
+const { TranscriptionQueue } = require('../src/transcription-queue.js');
+const { check, finish } = require('./check.js');
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A job that records when it starts and finishes, and whether it saw its
+// signal aborted
+function job(label, ms, events) {
+  return {
+    label,
+    run: async (signal) => {
+      events.push('start ' + label);
+      signal.addEventListener('abort', () => events.push('abort ' + label));
+      await delay(ms);
+      events.push('end ' + label);
+      return label;
+    },
+  };
+}
+
+function settle(promise) {
+  return promise.then(
+    (value) => ({ value }),
+    (error) => ({ error: error.message, timedOut: !!error.timedOut, cancelled: !!error.cancelled })
+  );
+}
+
+async function testOrderAndConcurrency() {
+  const events = [];
+  let changes = 0;
+  const queue = new TranscriptionQueue(() => changes++);
+  const results = [job('a', 30, events), job('b', 10, events), job('c', 10, events)].map((entry) => queue.add(entry));
+  check('One job runs at a time by default', [queue.running.size, queue.pending.length], [1, 2]);
+  check('Queue size counts waiting and running jobs', queue.size, 3);
+  check('The last waiting job can still be changed', queue.lastPending().label, 'c');
+  check('Jobs resolve with their results', await Promise.all(results), ['a', 'b', 'c']);
+  check('Jobs run in the order they were added', events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  check('Changes are reported', changes > 0, true);
+  check('Queue is empty when done', queue.size, 0);
+
+  const parallel = [];
+  const wide = new TranscriptionQueue(() => {});
+  wide.concurrency = 2;
+  const done = [job('a', 30, parallel), job('b', 10, parallel), job('c', 10, parallel)].map((entry) => wide.add(entry));
+  check('Jobs run up to the concurrency limit', [wide.running.size, wide.pending.length], [2, 1]);
+  await Promise.all(done);
+  check('A job starts when a running one finishes', parallel.slice(0, 4), ['start a', 'start b', 'end b', 'start c']);
+}
+
+async function testTimeout() {
+  const events = [];
+  const queue = new TranscriptionQueue(() => {});
+  queue.timeoutMs = 20;
+  const slow = settle(queue.add(job('slow', 200, events)));
+  const next = queue.add(job('next', 0, events));
+  check('A job running too long rejects as timed out', (await slow).timedOut, true);
+  check('A timed out job sees its signal aborted', events.slice(0, 2), ['start slow', 'abort slow']);
+  check('The next job runs after a timeout', await next, 'next');
+}
+
+async function testCancelAll() {
+  const events = [];
+  let changes = 0;
+  const queue = new TranscriptionQueue(() => changes++);
+  const running = settle(queue.add(job('running', 200, events)));
+  const waiting = settle(queue.add(job('waiting', 10, events)));
+  await delay(0);
+  changes = 0;
+  queue.cancelAll();
+  check('Cancelling rejects the running job', await running, { error: 'running cancelled', timedOut: false, cancelled: true });
+  check('Cancelling rejects waiting jobs', await waiting, { error: 'waiting cancelled', timedOut: false, cancelled: true });
+  check('Cancelled waiting jobs never start', events, ['start running', 'abort running']);
+  check('Cancelling reports the change', changes > 0, true);
+  check('Nothing is waiting after cancelling', queue.pending.length, 0);
+
+  const unstarted = [];
+  const cancelled = settle(queue.add(job('unstarted', 10, unstarted)));
+  queue.cancelAll();
+  check('A job cancelled before it starts rejects', (await cancelled).cancelled, true);
+  check('A job cancelled before it starts never runs', unstarted, []);
+}
+
+async function testFailure() {
+  const queue = new TranscriptionQueue(() => {});
+  const failed = settle(queue.add({ label: 'bad', run: () => Promise.reject(new Error('engine failed')) }));
+  const next = queue.add({ label: 'good', run: () => Promise.resolve('ok') });
+  check('A failing job rejects with its error', await failed, { error: 'engine failed', timedOut: false, cancelled: false });
+  check('The queue carries on after a failure', await next, 'ok');
+}
+
+async function run() {
+  await testOrderAndConcurrency();
+  await testTimeout();
+  await testCancelAll();
+  await testFailure();
+  finish('transcription queue');
+}
+
+run().catch((error) => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+const { VoiceActivityDetector } = require('../src/voice-activity.js');
+const { check, finish } = require('./check.js');
+
+function frame(level, length = 480) {
+  return new Float32Array(length).fill(level);
+}
+
+function testSpeechDetection() {
+  const vad = new VoiceActivityDetector();
+  check('Empty frame is not speech', vad.process(new Float32Array(0), 30), false);
+  check('Quiet frame is not speech', vad.process(frame(0.001), 30), false);
+  check('Loud frame after quiet ones is speech', vad.process(frame(0.1), 30), true);
+  check('Speech time is counted', vad.speechMs, 30);
+  check('Chunk has speech', vad.hasSpeech(), true);
+  vad.process(frame(0.001), 30);
+  vad.process(frame(0.001), 30);
+  check('Silence time is counted after speech', vad.silenceMs, 60);
+  const noiseFloor = vad.noiseFloor;
+  vad.resetChunk();
+  check('Reset clears the chunk counters', [vad.speechMs, vad.silenceMs, vad.hasSpeech()], [0, 0, false]);
+  check('Reset keeps the noise floor', vad.noiseFloor, noiseFloor);
+}
+
+function testNoiseFloor() {
+  const vad = new VoiceActivityDetector();
+  check('Sound below the minimum level is not speech', vad.process(frame(0.004), 30), false);
+  vad.process(frame(0.02), 30);
+  check('Noise floor rises slowly', vad.noiseFloor > Math.fround(0.004) && vad.noiseFloor < 0.005, true);
+  for (let i = 0; i < 2000; i++) {
+    vad.process(frame(0.02), 30);
+  }
+  check('Steady noise becomes the floor and is not speech', vad.process(frame(0.02), 30), false);
+}
+
+function testDigitalSilence() {
+  const vad = new VoiceActivityDetector();
+  vad.process(frame(0), 30);
+  check('Digital silence keeps a positive noise floor', vad.noiseFloor > 0, true);
+  check('Speech after digital silence is detected', vad.process(frame(0.1), 30), true);
+  for (let i = 0; i < 2000; i++) {
+    vad.process(frame(0.02), 30);
+  }
+  check('Noise floor still rises after digital silence', vad.process(frame(0.02), 30), false);
+}
+
+testSpeechDetection();
+testNoiseFloor();
+testDigitalSilence();
+
+finish('voice activity');